@@ -12,11 +12,10 @@
 // ============
 // Data
 //  - 1. 256x256 Web Mercator PNG tiles with alpha channel that correlates with tiles intentionally not present
-//  - 2. Google Maps tile X/Y/Z convention.
+//  - 2. Google Maps tile X/Y/Z convention.  (or another quadtree tile grid; see LBITSTileGrid)
 //  - 3. A single tile that shows the entire dataset at once.  (guaranteed to be the zoom level 0 tile)
 // Script Dependencies:
-//  - 1. png.js / zlib.js -- entirely optional, but recommended.  Significantly improves performance over HTML5 Canvas.
-//      Source: http://github.com/devongovett/png.js/
+//  - None.  PNGs are decoded by a built-in decoder (see LBITS -- PNG Decoding), which replaces png.js / zlib.js.
 
 
 
@@ -28,6 +27,10 @@
 //    - Class: LBITS - Layer Bitstore (holds 1...n BITS)
 //    - Class: BITS  - Bitstore
 //    - Class: LBITSOptions - for specfying extra stuff manually to LBITS
+//    - Class: LBITSQuadtree - spatial index of the BITS held by a LBITS
+//    - Class: LBITSTileIterator - enumerates the tiles with data for a LBITS
+//    - Class: LBITSGroup - combines several LBITS with union / intersection / difference
+//    - Class: LBITSTileGrid - maps tile x/y/z to lat/lon, for Web Mercator, WGS84 or custom grids
 //
 
 
@@ -61,15 +64,14 @@
 //
 //     getTileUrl: function (xy, z) 
 //                 {
-//                    var nXY = getNormalizedCoord(xy, z);       // code here: http://developers.google.com/maps/documentation/javascript/maptypes
-//        
-//                    if (    !nXY
-//                        || (!MY_FIRST_BARBIE_GLOBAL_POINTER.ShouldLoadTile(2, nXY.x, nXY.y, z)))
+//                    if (!MY_FIRST_BARBIE_GLOBAL_POINTER.ShouldLoadTile(2, xy.x, xy.y, z))  // x is normalized across the antimeridian
 //                    {
 //                        return null;
 //                    }//if
 //
-//                    return "http://safecast.org/tilemap/tiles/"+z+"/tile_"+z+"_"+nXY.x+"_"+nXY.y+".png"
+//                    var x = MY_FIRST_BARBIE_GLOBAL_POINTER.idx_tile_grid.NormalizeTileX(xy.x, z);
+//
+//                    return "http://safecast.org/tilemap/tiles/"+z+"/tile_"+z+"_"+x+"_"+xy.y+".png"
 //                  }
 
 
@@ -87,6 +89,7 @@
 // 1. The min and max zoom levels of your layer
 // 2. A URL template to use, substituting {z} {x} and {y} for numbers.
 // 3. The x/y/z for a single RGBA8888 PNG tile that indexes the entire dataset.  This is guaranteed to be the z=0 tile for every dataset.
+//    (in Web Mercator; see LBITSTileGrid for grids with more than one tile at z=0)
 // 4. A unique layerId to differentiate it from other tilesets.  Or, you can reuse a layerId if you want a proxy and less memory use, 
 //    for datasets that are mostly the same.
 //
@@ -102,9 +105,8 @@
 
 // png.js erratum note:
 // --------------------
-// Note that png.js seems to have problems decoding PNGs with < 8 bits per pixel. This was noted in combination with PNG_COLOR_TYPE_PALETTE
-// and a single tRNS value.  If your tilesets have such data and you encounter this bug, workarounds include re-encoding the PNGs or
-// setting bitstore.js to use HTML5 Canvas mode to decode them instead.
+// png.js had problems decoding PNGs with < 8 bits per pixel, in combination with PNG_COLOR_TYPE_PALETTE and a single tRNS value.
+// It has been replaced with a built-in decoder that handles these.
 
 
 // Revision History
@@ -180,17 +182,33 @@ var LBITSOptions = (function()
         
         this.net_cache_enable       = true;
         this.net_url_append_enable  = true;
+        this.net_url_subdomains     = ["a", "b", "c"];
 
         this.idx_max_bitmap_n       = 256;
         this.idx_max_bitmap_z       = 8;
         this.idx_datecheck_enable   = true;
         this.idx_lazyload_detail    = true;
         this.idx_lazyload_dim       = true;
+        this.idx_pyramid_enable     = false;
+        this.idx_query_width        = null;
+        this.idx_tile_grid          = null;
+        this.idx_overzoom_enable    = false;
         
         this.img_io_canvas_enable   = false;
+        this.img_format             = null;
+        this.img_lossy              = null;
+        this.img_lossy_min_alpha    = 32;
+        this.img_lossy_margin       = 1;
         
         this.img_fx_unshadow        = false;
         this.img_fx_unstroke        = false;
+        this.img_fx_pipeline        = null;
+        this.img_fx_morph           = null;
+        this.img_fx_morph_se        = "3x3";
+        this.img_fx_morph_r         = 1;
+        this.img_px_predicate       = null;
+        this.img_key_color          = null;
+        this.img_key_tol            = 0;
         this.img_ch_offset          = 3;
         this.img_alpha_threshold    = 1;
         this.img_unshd_threshold    = 1;
@@ -205,14 +223,30 @@ var LBITSOptions = (function()
         this.url2  = null;
         this.cache = true;
         this.appnd = true;
+        this.subd  = null;
         this.maxn  = 256;
         this.maxz  = 8;
         this.date  = true;
         this.ll    = true;
         this.lldim = true;
+        this.pyr   = false;
+        this.qw    = null;
+        this.grid  = null;
+        this.ovz   = false;
         this.ctx   = false;
+        this.fmt   = null;
+        this.lossy = null;
+        this.lmina = 32;
+        this.lmar  = 1;
         this.unshd = false;
         this.unstr = false;
+        this.fx    = null;
+        this.morph = null;
+        this.mse   = null;
+        this.mr    = 1;
+        this.pred  = null;
+        this.key   = null;
+        this.ktol  = 0;
         this.choff = 3;
         this.alpha = 1;
         this.shdtr = 1;
@@ -227,6 +261,7 @@ var LBITSOptions = (function()
         this.date  = this.i2b(this.date);
         this.ll    = this.i2b(this.ll);
         this.lldim = this.i2b(this.lldim);
+        this.pyr   = this.i2b(this.pyr);
         this.ctx   = this.i2b(this.ctx);
         this.unshd = this.i2b(this.unshd);
         this.unstr = this.i2b(this.unstr);
@@ -237,6 +272,7 @@ var LBITSOptions = (function()
         this.idx_datecheck_enable  = this.i2b(this.idx_datecheck_enable);
         this.idx_lazyload_detail   = this.i2b(this.idx_lazyload_detail);
         this.idx_lazyload_dim      = this.i2b(this.idx_lazyload_dim);
+        this.idx_pyramid_enable    = this.i2b(this.idx_pyramid_enable);
         this.img_io_canvas_enable  = this.i2b(this.img_io_canvas_enable);
         this.img_fx_unshadow       = this.i2b(this.img_fx_unshadow);
         this.img_fx_unstroke       = this.i2b(this.img_fx_unstroke);
@@ -247,17 +283,33 @@ var LBITSOptions = (function()
         this.net_worker_inc2_url    = this.url2 != null ? this.url2 : this.net_worker_inc2_url;
         this.net_cache_enable       = this.net_cache_enable      && this.cache;
         this.net_url_append_enable  = this.net_url_append_enable && this.appnd;
+        this.net_url_subdomains     = this.subd  != null ? this.subd  : this.net_url_subdomains;
         this.idx_max_bitmap_n       = this.maxn != 256 ? this.maxn : this.idx_max_bitmap_n;
         this.idx_max_bitmap_z       = this.maxz !=   8 ? this.maxz : this.idx_max_bitmap_z;
         this.idx_datecheck_enable   = this.idx_datecheck_enable  && this.date;
         this.idx_lazyload_detail    = this.idx_lazyload_detail   && this.ll;
         this.idx_lazyload_dim       = this.idx_lazyload_dim      && this.lldim;
+        this.idx_pyramid_enable    |= this.pyr;
+        this.idx_query_width        = this.qw    != null ? this.qw    : this.idx_query_width;
+        this.idx_tile_grid          = this.grid  != null ? this.grid  : this.idx_tile_grid;
+        this.idx_overzoom_enable   |= this.ovz;
         this.img_io_canvas_enable  |= this.ctx;
+        this.img_format             = this.fmt   != null ? this.fmt   : this.img_format;
+        this.img_lossy              = this.lossy != null ? this.lossy : this.img_lossy;
+        this.img_lossy_min_alpha    = this.lmina != 32   ? this.lmina : this.img_lossy_min_alpha;
+        this.img_lossy_margin       = this.lmar  != 1    ? this.lmar  : this.img_lossy_margin;
         this.img_fx_unshadow       |= this.unshd;
         this.img_fx_unstroke       |= this.unstr;
+        this.img_fx_pipeline        = this.fx    != null ? this.fx    : this.img_fx_pipeline;
+        this.img_fx_morph           = this.morph != null ? this.morph : this.img_fx_morph;
+        this.img_fx_morph_se        = this.mse   != null ? this.mse   : this.img_fx_morph_se;
+        this.img_fx_morph_r         = this.mr    != 1    ? this.mr    : this.img_fx_morph_r;
+        this.img_px_predicate       = this.pred  != null ? this.pred  : this.img_px_predicate;
+        this.img_key_color          = this.key   != null ? this.key   : this.img_key_color;
+        this.img_key_tol            = this.ktol  != 0    ? this.ktol  : this.img_key_tol;
         this.img_ch_offset         |= this.choff;
-        this.img_alpha_threshold   |= this.alpha;
-        this.img_unshd_threshold   |= this.shdtr;
+        this.img_alpha_threshold    = this.alpha == "auto" || this.img_alpha_threshold == "auto" ? "auto" : this.img_alpha_threshold | this.alpha;
+        this.img_unshd_threshold    = this.shdtr == "auto" || this.img_unshd_threshold == "auto" ? "auto" : this.img_unshd_threshold | this.shdtr;
         this.img_width              = this.w != null && this.w != 0 && this.w != 256 ? this.w : this.img_width;
         this.img_height             = this.h != null && this.h != 0 && this.h != 256 ? this.h : this.img_height;
     }
@@ -272,29 +324,82 @@ var LBITSOptions = (function()
     {
         var help = [
          "net_multithreading    (bool) [true|false] -- Dispatches HTTP GET->PNG->bitmap to background web worker thread."
-        ,"net_worker_inc0_url  (char*)        [URL] -- Absolute URL to modded png.js, zlib.js, and/or bitstore.js for background web worker."
-        ,"net_worker_inc1_url  (char*)        [URL] -- Absolute URL to modded png.js, zlib.js, and/or bitstore.js for background web worker."
-        ,"net_worker_inc2_url  (char*)        [URL] -- Absolute URL to modded png.js, zlib.js, and/or bitstore.js for background web worker."
+        ,"net_worker_inc0_url  (char*)        [URL] -- Absolute URL to bitstore.js (or another script) for background web worker."
+        ,"net_worker_inc1_url  (char*)        [URL] -- Absolute URL to bitstore.js (or another script) for background web worker."
+        ,"net_worker_inc2_url  (char*)        [URL] -- Absolute URL to bitstore.js (or another script) for background web worker."
         ,"net_cache_enable      (bool) [true|false] -- Enables localStorage cache of bitstore data."
         ,"net_url_append_enable (bool) [true|false] -- Append ?d=<daysSince1970> to all HTTP URLs to defeat caching."
+        ,"net_url_subdomains   (array) [list]       -- Subdomains for {s} in urlTemplate.  Default: [\"a\", \"b\", \"c\"].  Each tile always"
+                                                       + " uses the same one, so it stays in the browser's HTTP cache."
         ,"idx_max_bitmap_n       (int)  [0...  n]   -- Max number of bitmap indices to create for this layer.  Recommend 256."
         ,"idx_max_bitmap_z       (int)  [0... 23]   -- Max zoom level of tiles to create indices from.  Recommend 6."
         ,"idx_datecheck_enable  (bool) [true|false] -- Caches the HTTP header last-modified date/time for the master index tile,"
                                                        + " for both reuse elsewhere and expiring cache."
         ,"idx_lazyload_detail   (bool) [true|false] -- Only load master index tile immediately.  Load rest when needed.  Not recommended."
         ,"idx_lazyload_dim      (bool) [true|false] -- Only load master index tile immediately.  Load rest after first use."
-        ,"img_io_canvas_enable  (bool) [true|false] -- Use HTML5 Canvas instead of libpng/zlib.  Slower but don't need another script."
+        ,"idx_pyramid_enable    (bool) [true|false] -- Once all detail indices have loaded (or failed), OR-reduce them into parent"
+                                                       + " indices up to the master, replacing it with a more accurate one.  Only the"
+                                                       + " master is kept and cached.  Ignored with idx_lazyload_detail alone."
+        ,"idx_query_width        (int) [null|1..n]  -- Width of the tiles passed to ShouldLoadTile etc, if not img_width.  eg, 512 for"
+                                                       + " retina tiles over 256px indices.  A query tile @ z is then in range if tiles of"
+                                                       + " img_width with the same detail are: a 512px tile @ z-1 is like 256px tiles @ z."
+                                                       + " Can also be passed per call, as tile_w."
+        ,"idx_tile_grid       (object) [null|grid]  -- Tile grid of the layer.  null: Web Mercator.  Also \"EPSG:4326\" for a"
+                                                       + " WGS84 grid with 2x1 tiles at z=0, or a custom LBITSTileGrid."
+        ,"idx_overzoom_enable   (bool) [true|false] -- Tiles past maxZ are answered as their parent @ maxZ, rather than false, for"
+                                                       + " maps that overzoom the last native level.  GetOverzoomParentTile returns the"
+                                                       + " parent to fetch instead.  Not used by GetDataTileIterator."
+        ,"img_io_canvas_enable  (bool) [true|false] -- Use HTML5 Canvas instead of the built-in PNG decoder.  Slower, but decodes"
+                                                       + " anything the browser can, eg JPEG.  With multithreading, the worker uses"
+                                                       + " createImageBitmap / OffscreenCanvas instead, where available."
+        ,"img_format           (char*)   [null|fmt] -- Format hint: \"png\", \"jpeg\", \"webp\" or \"avif\".  null: from the urlTemplate"
+                                                       + " extension, if any.  Tiles are always routed to a decoder by their bytes"
+                                                       + " when available: PNG to the built-in decoder, anything else to createImageBitmap."
+        ,"img_lossy             (bool) [null|bool]  -- Lossy tiles get img_lossy_min_alpha and img_lossy_margin.  null: from img_format,"
+                                                       + " or detected from the master tile's bytes (JPEG, AVIF, lossy WebP) and cached."
+        ,"img_lossy_min_alpha    (int)  [0...255]   -- Lossy only.  Minimum alpha for data, so compression noise is not data."
+        ,"img_lossy_margin       (int)  [0...  n]   -- Lossy only.  Dilates the index by this many pixels, so data whose edge"
+                                                       + " alpha was lowered by compression is not lost."
         ,"img_fx_unshadow       (bool) [true|false] -- PNG, specialized.  Sets the alpha channel value to 0 if the RGB values are all" 
                                                        + " < img_unshd_threshold.  Prevents false positives if pure black in the original"
                                                        + " raster has a non-zero alpha value and does not represent actual data points."
         ,"img_fx_unstroke       (bool) [true|false] -- PNG, specialized.  Removes ~90% of the effects of a 2x2 NODATA fill"
                                                        + " / neighboorhood mean function to prevent false positives." 
                                                        + " Slow, 3-pass scalar implementation."
+        ,"img_fx_pipeline       (array)  [null|fx]  -- PNG, specialized.  Ordered list of filters run on the RGBA tile before indexing."
+                                                       + " Replaces img_fx_unshadow and img_fx_unstroke, which are the same as"
+                                                       + " [\"unshadow\", \"unstroke\"].  Filters: \"unshadow\" or {op:\"unshadow\", t:1},"
+                                                       + " \"unstroke\", {op:\"unkey\", rgb:[r,g,b], tol:0} (key color -> transparent),"
+                                                       + " {op:\"unhalo\", rgb:[r,g,b], tol:16, r:2} (peels up to r px of halo-colored outline),"
+                                                       + " or function(rgba, w, h, ch_offset, alpha_threshold) { ... } modifying rgba in place."
+                                                       + " With multithreading, functions are sent to the worker as source, so cannot use closures."
+        ,"img_fx_morph         (char*)   [null|op]  -- Bitmap, specialized.  Morphological filter applied to the bitmap index, for"
+                                                       + " tiles rendered with smoothing, halos or symmetric NODATA fills."
+                                                       + " op: \"erode\", \"dilate\", \"open\" or \"close\".  Pixels outside the"
+                                                       + " tile count as data for erosion, so data is never lost at tile edges."
+        ,"img_fx_morph_se      (char*)   [se]       -- Bitmap, specialized.  Structuring element for img_fx_morph."
+                                                       + " se: \"2x2\" (forward only, as img_fx_unstroke), \"3x3\", or \"disc\"."
+        ,"img_fx_morph_r         (int)  [1...  n]   -- Bitmap, specialized.  Radius of the \"disc\" structuring element."
+        ,"img_px_predicate  (obj|fx*)   [null|pred] -- PNG, specialized.  Decides what counts as data per RGBA pixel, replacing"
+                                                       + " img_ch_offset and img_alpha_threshold.  Named: {op:\"alpha_range\", min:1, max:255},"
+                                                       + " {op:\"rgb_not\", rgb:[255,0,255], tol:0} (NODATA color), {op:\"luma_above\", t:16},"
+                                                       + " {op:\"rgb_in\", rgbs:[[r,g,b],...]} (eg the colors of a set of palette indices)."
+                                                       + " Custom: function(r,g,b,a) { return bool; }.  It must be self-contained, with no"
+                                                       + " closures or outside variables: with multithreading it is sent to the worker as"
+                                                       + " source.  If it throws there, the tile is retried on the main thread."
+        ,"img_key_color    ([r,g,b]|s)  [null|auto] -- PNG/JPEG.  Color-key mode for tiles without alpha: anything not this color is data."
+                                                       + " \"auto\" detects the background color from the corners of the master tile, and caches it"
+                                                       + " with the index.  Overrides img_px_predicate.  Transparent pixels are never data."
+        ,"img_key_tol            (int)  [0...255]   -- PNG/JPEG.  Per-channel tolerance for img_key_color, eg for JPEG artifacts."
         ,"img_ch_offset          (int)  [0...  3]   -- PNG, specialized.  For using another color channel instead of the alpha channel."
         ,"img_alpha_threshold    (int)  [0...255]   -- PNG, specialized.  Any alpha pixel this value or above will be considered data."
-        ,"img_unshd_threshold    (int)  [0...255]   -- PNG, specialized.  For img_fx_unshadow."
-        ,"img_width"             (int)  [1..4096]   -- PNG, width of tile.  Normally 256.
-        ,"img_height"            (int)  [1..4096]   -- PNG, height of tile. Normally 256.
+                                                       + " \"auto\" picks it from a histogram of img_ch_offset in the master tile (Otsu),"
+                                                       + " and caches it with the index so detail tiles use the same value."
+        ,"img_unshd_threshold    (int)  [0...255]   -- PNG, specialized.  For img_fx_unshadow.  \"auto\" picks it from a histogram"
+                                                       + " of max(R,G,B) of the master tile's data pixels (Otsu), if the darker class looks"
+                                                       + " like a shadow.  Otherwise, uses 1."
+        ,"img_width"             (int)  [1..1024]   -- PNG, width of tile.  Normally 256.  Need not be square, a power of 2 or a multiple of 4.
+        ,"img_height"            (int)  [1..1024]   -- PNG, height of tile. Normally 256.
         ];
         return help;
     }
@@ -304,6 +409,460 @@ var LBITSOptions = (function()
 })();
 
 
+
+// LBITSQuadtree -- Spatial index of BITS for a layer
+// ==================================================
+//
+// LBITS used to walk its entire bitstores array for every tile query, testing each extent in turn.  With up to
+// idx_max_bitmap_n (256) indices per layer, that happened on every getTileUrl call.
+//
+// Because every BITS is itself a tile x/y/z, the bitstores form a natural quadtree rooted at the z=0 tile.  (or, for grids
+// with more than one tile at z=0, at the zoom level above where one tile would cover them all; see LBITSTileGrid.GetRootZ)
+// A query for tile x/y/z only needs to descend from the root towards that tile, collecting any BITS found on the
+// way down.  Those are exactly the BITS which can index the tile: the deepest one covering it, and its ancestors.
+//
+//              z=0           [0,0]
+//                          /  |  |  \
+//              z=1     [0,0][1,0][0,1][1,1]          child index = (y bit << 1) | x bit
+//                        ...
+//
+// Intermediate nodes without a BITS are created as needed.  Queries never allocate.
+
+var LBITSQuadtree = (function()
+{
+//- (void)
+    function LBITSQuadtree(root_z)
+    {
+        this.root  = null;          // node*
+        this.rootZ = root_z != null ? root_z : 0;   // int32_t
+        this.count = 0;             // size_t
+        this.buf   = new Array();   // BITS**  reusable query result buffer
+    }
+    
+//+ (node*)
+    LBITSQuadtree.NewNode = function()
+    {
+        return { bs:null, kids:[null, null, null, null] };
+    };
+    
+//+ (uint32_t)  Child index [0...3] at z+1 for tile x/y @ tz, descending from node @ z.
+    LBITSQuadtree.ChildIndex = function(x, y, tz, z)
+    {
+        var s = tz - z - 1;
+        return (((y >>> s) & 1) << 1) | ((x >>> s) & 1);
+    };
+    
+//- (void)  Adds a BITS to the tree, replacing any existing BITS at the same x/y/z.
+    LBITSQuadtree.prototype.Insert = function(bs)
+    {
+        if (this.root == null) this.root = LBITSQuadtree.NewNode();
+        
+        var node = this.root;
+        var ci;
+        
+        for (var z = this.rootZ; z < bs.z; z++)
+        {
+            ci = LBITSQuadtree.ChildIndex(bs.x, bs.y, bs.z, z);
+            
+            if (node.kids[ci] == null) node.kids[ci] = LBITSQuadtree.NewNode();
+            
+            node = node.kids[ci];
+        }//for
+        
+        if (node.bs == null) this.count++;
+        
+        node.bs = bs;
+    };
+    
+//- (BITS*) Returns the BITS at exactly x/y/z, or null.
+    LBITSQuadtree.prototype.Find = function(x, y, z)
+    {
+        var node = this.root;
+        
+        for (var i = this.rootZ; i < z && node != null; i++)
+        {
+            node = node.kids[LBITSQuadtree.ChildIndex(x, y, z, i)];
+        }//for
+        
+        return node != null ? node.bs : null;
+    };
+    
+//- (size_t)    Fills this.buf with all BITS that can index tile x/y/z, from lowest to highest zoom level.
+//              Returns the number of elements set.  Contents of this.buf past that are undefined.
+    LBITSQuadtree.prototype.Query = function(x, y, z)
+    {
+        var node = this.root;
+        var n    = 0;
+        
+        for (var i = this.rootZ; node != null; i++)
+        {
+            if (node.bs != null)
+            {
+                this.buf[n] = node.bs;
+                n++;
+            }//if
+            
+            node = i < z ? node.kids[LBITSQuadtree.ChildIndex(x, y, z, i)] : null;
+        }//for
+        
+        return n;
+    };
+    
+//- (size_t)    Fills this.buf with all BITS at or below zoom level z whose tile intersects the tile range x0...x1, y0...y1 @ z.
+//              (inclusive)  Returns the number of elements set.
+    LBITSQuadtree.prototype.QueryRange = function(x0, y0, x1, y1, z)
+    {
+        return this.root == null ? 0 : this.QueryRange_Node(this.root, 0, 0, this.rootZ, x0, y0, x1, y1, z, 0);
+    };
+    
+//- (size_t)
+    LBITSQuadtree.prototype.QueryRange_Node = function(node, nx, ny, nz, x0, y0, x1, y1, z, n)
+    {
+        var s = z - nz;
+        
+        if (   ((nx + 1) << s) <= x0 || (nx << s) > x1
+            || ((ny + 1) << s) <= y0 || (ny << s) > y1)
+        {
+            return n;
+        }//if
+        
+        if (node.bs != null)
+        {
+            this.buf[n] = node.bs;
+            n++;
+        }//if
+        
+        if (nz < z)
+        {
+            for (var i = 0; i < 4; i++)
+            {
+                if (node.kids[i] != null)
+                {
+                    n = this.QueryRange_Node(node.kids[i], (nx << 1) | (i & 1), (ny << 1) | (i >>> 1), nz + 1, x0, y0, x1, y1, z, n);
+                }//if
+            }//for
+        }//if
+        
+        return n;
+    };
+    
+//- (void)
+    LBITSQuadtree.prototype.Clear = function()
+    {
+        this.root       = null;
+        this.count      = 0;
+        this.buf.length = 0;
+    };
+
+    return LBITSQuadtree;
+})();
+
+
+
+// LBITSTileIterator -- Enumerates data-bearing tiles
+// ==================================================
+//
+// Yields every tile x/y @ z that a LBITS index says intersects data, eg for seeding offline tile packages, warming a CDN,
+// or counting how many tiles a dataset really has.  Obtain one with LBITS.GetDataTileIterator.
+//
+// This is a depth-first descent from the master tile: a tile is only subdivided if it intersects data itself, so the work
+// done is proportional to the number of tiles with data rather than the size of the extent.  Nothing is precomputed;
+// memory use is a small stack, so it can be paged through at high zoom levels.
+
+var LBITSTileIterator = (function()
+{
+//- (void)
+    function LBITSTileIterator(lbits, x, y, z, dest_z)
+    {
+        this.lbits  = lbits;           // LBITS*
+        this.z      = dest_z;          // int32_t
+        this.count  = 0;               // size_t   tiles returned so far
+        this.done   = lbits == null;   // bool
+        this._xs    = new Array();     // stack
+        this._ys    = new Array();
+        this._zs    = new Array();
+        
+        if (!this.done) this.Push(x, y, z);
+    }
+    
+//- (void)
+    LBITSTileIterator.prototype.Push = function(x, y, z)
+    {
+        this._xs.push(x);
+        this._ys.push(y);
+        this._zs.push(z);
+    };
+    
+//- (uint32_t*)     Returns the next tile as [x, y], or null when there are no more.
+    LBITSTileIterator.prototype.Next = function()
+    {
+        var x,y,z;
+        
+        while (this._zs.length > 0)
+        {
+            x = this._xs.pop();
+            y = this._ys.pop();
+            z = this._zs.pop();
+            
+            if (!this.lbits.DoesTileIntersectIndexData(x, y, z)) continue;
+            
+            if (z == this.z)
+            {
+                this.count++;
+                return [x, y];
+            }//if
+            
+            // children in reverse, so tiles come out in quadtree order
+            this.Push((x << 1) + 1, (y << 1) + 1, z + 1);
+            this.Push((x << 1),     (y << 1) + 1, z + 1);
+            this.Push((x << 1) + 1, (y << 1),     z + 1);
+            this.Push((x << 1),     (y << 1),     z + 1);
+        }//while
+        
+        this.done = true;
+        
+        return null;
+    };
+    
+//- (NSMutableArray*)   Returns up to page_n tiles as [xs, ys, z].  Fewer than page_n means the iterator is done.
+    LBITSTileIterator.prototype.NextPage = function(page_n)
+    {
+        var xs = new Uint32Array(page_n);
+        var ys = new Uint32Array(page_n);
+        var n  = 0;
+        var xy;
+        
+        while (n < page_n && (xy = this.Next()) != null)
+        {
+            xs[n] = xy[0];
+            ys[n] = xy[1];
+            n++;
+        }//while
+        
+        return [n < page_n ? xs.subarray(0, n) : xs, n < page_n ? ys.subarray(0, n) : ys, this.z];
+    };
+
+    return LBITSTileIterator;
+})();
+
+
+// LBITSTileGrid -- Tile grid
+// ==========================
+//
+// Describes how tile x/y/z maps to the Earth.  Most tiles are Google-style Web Mercator, with a single tile at z=0, but some
+// datasets are published in other grids: eg, EPSG:4326 pyramids with two tiles side by side at z=0, or polar grids.
+//
+// A LBITS and its BITS work in any grid where every tile has 2x2 children at z+1.  Reprojecting pixel or tile x/y between
+// zoom levels (BITS.c_MercXZtoMercXZ) is then just a shift, and the extent is pixel x/y @ z=21 of the grid's own world.
+// So a grid only has to say how many tiles it has at z=0, and how to convert a WGS84 lat/lon to and from a fraction u/v
+// of its world: u=0, v=0 is the top left corner of tile 0/0 @ z=0, and u=1, v=1 is the bottom right corner of the last tile.
+//
+// Built-in grids: LBITSTileGrid.WEB_MERCATOR (EPSG:3857, the default) and LBITSTileGrid.WGS84 (EPSG:4326, 2x1 at z=0).
+//
+// Example, a custom polar grid:
+//
+//     var grid = new LBITSTileGrid("EPSG:3413", 1, 1, false,
+//                                  function(uv, lat, lon) { ...; uv[0] = u;   uv[1] = v;   },
+//                                  function(ll, u, v)     { ...; ll[0] = lat; ll[1] = lon; });
+//
+//     var opts = new LBITSOptions({ idx_tile_grid:grid });
+
+var LBITSTileGrid = (function()
+{
+//- (void)
+    function LBITSTileGrid(name, root_w, root_h, wrap_x, fxLatLonToUV, fxUVToLatLon)
+    {
+        this.name         = name;            // const char*
+        this.root_w       = root_w;          // uint32_t    tiles across @ z=0
+        this.root_h       = root_h;          // uint32_t    tiles down   @ z=0
+        this.wrap_x       = wrap_x;          // bool        x=0 and the last x are neighbors, across the antimeridian
+        this.fxLatLonToUV = fxLatLonToUV;    // void (*)(double* uv, double lat, double lon)  -- may be outside 0...1
+        this.fxUVToLatLon = fxUVToLatLon;    // void (*)(double* ll, double u,   double v)
+    }
+    
+//- (uint32_t)
+    LBITSTileGrid.prototype.GetWorldSizeTilesX = function(z)
+    {
+        return this.root_w * Math.pow(2, z);
+    };
+    
+//- (uint32_t)
+    LBITSTileGrid.prototype.GetWorldSizeTilesY = function(z)
+    {
+        return this.root_h * Math.pow(2, z);
+    };
+    
+//- (bool)
+    LBITSTileGrid.prototype.IsTileInWorld = function(x, y, z)
+    {
+        return x >= 0 && y >= 0 && x < this.GetWorldSizeTilesX(z) && y < this.GetWorldSizeTilesY(z);
+    };
+    
+//- (double)    x wrapped into the world @ z if the grid wraps around the antimeridian, eg -1 is the last tile.  Otherwise, x as-is.
+    LBITSTileGrid.prototype.NormalizeTileX = function(x, z)
+    {
+        if (!this.wrap_x) return x;
+        
+        var n = this.GetWorldSizeTilesX(z);
+        
+        return ((x % n) + n) % n;
+    };
+    
+//- (int32_t)   Zoom level at which a single tile would cover the world: 0 for one tile at z=0, -1 for 2x1 or 2x2, etc.
+//              This is the root of LBITSQuadtree.
+    LBITSTileGrid.prototype.GetRootZ = function()
+    {
+        var z = 0;
+        
+        while (this.GetWorldSizeTilesX(z) > 1 || this.GetWorldSizeTilesY(z) > 1) z--;
+        
+        return z;
+    };
+    
+//- (uint32_t*) Master tile selection: the tile @ z covering the entire world as [x, y], or null if there is more than one,
+//              in which case the master tile x/y must be given.
+    LBITSTileGrid.prototype.GetMasterTileXY = function(z)
+    {
+        return this.GetWorldSizeTilesX(z) == 1 && this.GetWorldSizeTilesY(z) == 1 ? [0, 0] : null;
+    };
+    
+//- (void)      Sets v[0], v[1] to the fractional pixel x/y @ z of a WGS84 lat/lon, for tiles w x h.
+//              These may be outside of the world, eg for lat=89 in Web Mercator.
+    LBITSTileGrid.prototype.SetPxFromLatLon_f64 = function(v, lat, lon, z, w, h)
+    {
+        this.fxLatLonToUV(v, lat, lon);
+        
+        v[0] *= this.GetWorldSizeTilesX(z) * w;
+        v[1] *= this.GetWorldSizeTilesY(z) * h;
+    };
+    
+//- (void)      Inverse of SetPxFromLatLon_f64.  Sets v[0], v[1] to lat, lon.
+    LBITSTileGrid.prototype.SetLatLonFromPx_f64 = function(v, px, py, z, w, h)
+    {
+        this.fxUVToLatLon(v, px / (this.GetWorldSizeTilesX(z) * w), py / (this.GetWorldSizeTilesY(z) * h));
+    };
+    
+//- (int32_t*)  Returns tile range [x0, y0, x1, y1] @ z (inclusive) for a WGS84 lat/lon bounding box, clipped to the world.
+//              From the four corners of the box, which is exact for the built-in grids.
+//              If the grid wraps, a box crossing the antimeridian can have a longitude past +/-180, eg 170...190.  x is then
+//              outside of the world by up to one world width, as tile queries normalize it.
+    LBITSTileGrid.prototype.GetTileRangeForLatLonBounds = function(lat0, lon0, lat1, lon1, z, w, h)
+    {
+        var r   = new Int32Array(4);
+        var v   = new Float64Array(2);
+        var lls = [lat0, lon0, lat0, lon1, lat1, lon0, lat1, lon1];
+        var x0  = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+        
+        for (var i=0; i<lls.length; i+=2)
+        {
+            this.SetPxFromLatLon_f64(v, lls[i], lls[i+1], z, w, h);
+            
+            x0 = Math.min(x0, v[0]);
+            y0 = Math.min(y0, v[1]);
+            x1 = Math.max(x1, v[0]);
+            y1 = Math.max(y1, v[1]);
+        }//for
+        
+        var max_x = this.GetWorldSizeTilesX(z) - 1;  // eg, lon=180 is exactly on the far edge
+        var max_y = this.GetWorldSizeTilesY(z) - 1;
+        var min_x = 0;
+        
+        if (this.wrap_x && (x0 < 0 || x1 >= (max_x + 1) * w) && Math.floor(x1 / w) - Math.floor(x0 / w) <= max_x)
+        {
+            min_x = -(max_x + 1);
+            max_x =   max_x * 2 + 1;
+        }//if
+        
+        r[0] = Math.min(Math.max(Math.floor(x0 / w), min_x), max_x);
+        r[1] = Math.min(Math.max(Math.floor(y0 / h), 0),     max_y);
+        r[2] = Math.min(Math.max(Math.floor(x1 / w), min_x), max_x);
+        r[3] = Math.min(Math.max(Math.floor(y1 / h), 0),     max_y);
+        
+        return r;
+    };
+    
+//- (double)    Ground resolution in meters of one pixel @ z along x, at a WGS84 lat/lon, for tiles w x h.
+//              Measured across one pixel @ the extent zoom level and scaled to z, where a pixel is short enough to be straight.
+    LBITSTileGrid.prototype.GetMetersPerPixel = function(lat, lon, z, w, h)
+    {
+        var v  = new Float64Array(2);
+        var mz = BITS.c_GetDefaultExtentZoomLevel();
+        var lat0,lon0;
+        
+        this.SetPxFromLatLon_f64(v, lat, lon, mz, w, h);
+        
+        var px = v[0], py = v[1];
+        
+        this.SetLatLonFromPx_f64(v, px - 0.5, py, mz, w, h);
+        
+        lat0 = v[0];
+        lon0 = v[1];
+        
+        this.SetLatLonFromPx_f64(v, px + 0.5, py, mz, w, h);
+        
+        return BITS.c_GetHaversineDistance(lat0, lon0, v[0], v[1]) * Math.pow(2, mz - z);
+    };
+    
+//+ (LBITSTileGrid*)    Resolves the idx_tile_grid option: null is Web Mercator, a string is the name of a built-in grid
+//                      (case-insensitive), and a LBITSTileGrid is itself.  Returns null for an unknown name.
+    LBITSTileGrid.c_Get = function(grid)
+    {
+        if (grid == null) return LBITSTileGrid.WEB_MERCATOR;
+        if (typeof grid != "string") return grid;
+        
+        switch (grid.toUpperCase())
+        {
+            case "EPSG:3857":
+            case "EPSG:900913":
+            case "WEB_MERCATOR":
+                return LBITSTileGrid.WEB_MERCATOR;
+            case "EPSG:4326":
+            case "WGS84":
+                return LBITSTileGrid.WGS84;
+        }//switch
+        
+        return null;
+    };
+    
+//+ (void)
+    LBITSTileGrid.c_SetUVFromLatLon_WebMercator = function(uv, lat, lon)
+    {
+        var sin_lat = Math.sin(lat * Math.PI / 180.0);
+        
+        uv[0] = (lon + 180.0) / 360.0;
+        uv[1] = 0.5 - Math.log((1.0 + sin_lat) / (1.0 - sin_lat)) / (4.0 * Math.PI);
+    };
+    
+//+ (void)
+    LBITSTileGrid.c_SetLatLonFromUV_WebMercator = function(ll, u, v)
+    {
+        var n = Math.PI - 2.0 * Math.PI * v;
+        
+        ll[0] = 180.0 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+        ll[1] = u * 360.0 - 180.0;
+    };
+    
+//+ (void)
+    LBITSTileGrid.c_SetUVFromLatLon_WGS84 = function(uv, lat, lon)
+    {
+        uv[0] = (lon + 180.0) / 360.0;
+        uv[1] = (90.0 - lat) / 180.0;
+    };
+    
+//+ (void)
+    LBITSTileGrid.c_SetLatLonFromUV_WGS84 = function(ll, u, v)
+    {
+        ll[0] = 90.0 - v * 180.0;
+        ll[1] = u * 360.0 - 180.0;
+    };
+    
+    LBITSTileGrid.WEB_MERCATOR = new LBITSTileGrid("EPSG:3857", 1, 1, true, LBITSTileGrid.c_SetUVFromLatLon_WebMercator, LBITSTileGrid.c_SetLatLonFromUV_WebMercator);
+    LBITSTileGrid.WGS84        = new LBITSTileGrid("EPSG:4326", 2, 1, true, LBITSTileGrid.c_SetUVFromLatLon_WGS84,       LBITSTileGrid.c_SetLatLonFromUV_WGS84);
+
+    return LBITSTileGrid;
+})();
+
+
 var LBITS = (function() 
 {
 //- (void)
@@ -316,17 +875,21 @@ var LBITS = (function()
         this.urlTemplate             = urlTemplate;     // const char*
         
         this.bitstores               = new Array();     // NSMutableArray*
-        this.extent                  = null;            // uint32_t*
-                                                        // Extent is pixel x/y at zoom level 23, and is
+        this._bsqt                   = null;            // LBITSQuadtree* -- spatial index of this.bitstores, once the grid is known
+        this.extent                  = null;            // double*
+                                                        // Extent is pixel x/y at zoom level _defExZ, and is
                                                         // similar to an Apple MKMapRect (which is fractional z=20)
 
         this.lastModified            = null;            // const char*
         this.lastModifiedUnix        = 0;               // uint16_t - days since 1970
         this.isReady                 = false;           // bool
         
+        this.extentChangedCallback   = null;            // void (*)(double* bounds, int32_t layerId) -- optional.  Called with
+                                                        // GetLayerExtentLatLonBounds() whenever the extent is set or refined.
+        
         this._hasCompleteSingleIndex = false;           // bool
         this._didLazyLoad            = false;           // bool
-        this._defExZ                 = BITS.c_GetDefaultExtentZoomLevel();             // uint32_t
+        this._defExZ                 = BITS.c_GetExtentZoomLevelForMaxZ(maxZ);         // uint32_t -- 21, or maxZ if deeper
         
         var d = new Date();
         this._url_cache_append        = "?d=" + Math.round(d.getTime() / 86400000.0);  // const char*
@@ -339,17 +902,31 @@ var LBITS = (function()
         
         this.net_cache_enable        = true;
         this.net_url_append_enable   = true;
+        this.net_url_subdomains      = ["a", "b", "c"];
 
         this.idx_max_bitmap_n        = 256;
         this.idx_max_bitmap_z        = 8;
         this.idx_datecheck_enable    = true;
         this.idx_lazyload_detail     = true;
         this.idx_lazyload_dim        = true;
+        this.idx_pyramid_enable      = false;
+        this.idx_query_width         = null;            // null: img_width
+        this.idx_tile_grid           = null;            // null: LBITSTileGrid.WEB_MERCATOR
+        this.idx_overzoom_enable     = false;
         
         this.img_io_canvas_enable    = false;
+        this.img_format              = null;
+        this.img_lossy               = "auto";
+        this.img_lossy_min_alpha     = 32;
+        this.img_lossy_margin        = 1;
 
         this.img_fx_unshadow         = false;
         this.img_fx_unstroke         = false;
+        this.img_fx_pipeline         = null;
+        this.img_fx_morph            = null;
+        this.img_fx_morph_se         = "3x3";
+        this.img_fx_morph_r          = 1;
+        this.img_px_predicate        = null;
         this.img_ch_offset           = 3;
         this.img_alpha_threshold     = 1;
         this.img_unshd_threshold     = 1;
@@ -362,7 +939,7 @@ var LBITS = (function()
         var requested_multi  = false;
         var will_give_multi  =        options != null
                                &&     options.net_multithreading 
-                               &&    !options.img_io_canvas_enable
+                               &&   (!options.img_io_canvas_enable || LBITS.HasImageBitmapDecode())
                                && (  !options.idx_lazyload_detail 
                                    || options.idx_lazyload_dim)
                                && (   options.net_worker_inc0_url != null 
@@ -382,17 +959,38 @@ var LBITS = (function()
             
             this.net_cache_enable       = options.net_cache_enable;
             this.net_url_append_enable  = options.net_url_append_enable;
+            this.net_url_subdomains     = options.net_url_subdomains;
 
             this.idx_max_bitmap_n       = options.idx_max_bitmap_n;
             this.idx_max_bitmap_z       = options.idx_max_bitmap_z;
             this.idx_datecheck_enable   = options.idx_datecheck_enable;
             this.idx_lazyload_detail    = options.idx_lazyload_detail || options.idx_lazyload_dim;
             this.idx_lazyload_dim       = options.idx_lazyload_dim;
+            this.idx_pyramid_enable     = options.idx_pyramid_enable;
+            this.idx_query_width        = options.idx_query_width;
+            this.idx_tile_grid          = options.idx_tile_grid;
+            this.idx_overzoom_enable    = options.idx_overzoom_enable;
         
             this.img_io_canvas_enable   = options.img_io_canvas_enable || !has_libpng;
+            this.img_format             = options.img_format;
+            this.img_lossy              = options.img_lossy != null ? options.img_lossy : "auto";
+            this.img_lossy_min_alpha    = options.img_lossy_min_alpha;
+            this.img_lossy_margin       = options.img_lossy_margin;
 
             this.img_fx_unshadow        = options.img_fx_unshadow;
             this.img_fx_unstroke        = options.img_fx_unstroke;
+            this.img_fx_pipeline        = BITS.c_SerializePipeline(options.img_fx_pipeline != null ? options.img_fx_pipeline 
+                                                                   : BITS.c_GetLegacyPipeline(options.img_fx_unshadow, options.img_fx_unstroke));
+            this.img_fx_morph           = options.img_fx_morph;
+            this.img_fx_morph_se        = options.img_fx_morph_se;
+            this.img_fx_morph_r         = options.img_fx_morph_r;
+            this.img_px_predicate       = BITS.c_SerializePixelPredicate(options.img_px_predicate); // so it can be posted to the worker
+            
+            if (options.img_key_color != null)
+            {
+                this.img_px_predicate   = { op:"rgb_not", rgb:options.img_key_color, tol:options.img_key_tol, min_a:1 };
+            }//if
+            
             this.img_ch_offset          = options.img_ch_offset;
             this.img_alpha_threshold    = options.img_alpha_threshold;
             this.img_unshd_threshold    = options.img_unshd_threshold;
@@ -405,6 +1003,26 @@ var LBITS = (function()
         }//if
         
         
+        if (this.img_format == null) this.img_format = LBITS.c_GetImageFormatFromURL(urlTemplate);
+        if (this.img_lossy == "auto" && this.img_format != null && this.img_format != "webp") this.img_lossy = LBITS.c_IsLossyImageFormat(this.img_format);
+        
+        var grid           = LBITSTileGrid.c_Get(this.idx_tile_grid);
+        this.idx_tile_grid = grid != null ? grid : LBITSTileGrid.WEB_MERCATOR;
+        this._bsqt         = new LBITSQuadtree(this.idx_tile_grid.GetRootZ());
+        
+        if (x == null || y == null) // master tile selection, if there's only one choice
+        {
+            var mxy = this.idx_tile_grid.GetMasterTileXY(minZ);
+            
+            if (mxy != null)
+            {
+                x = mxy[0];
+                y = mxy[1];
+            }//if
+        }//if
+        
+        var hasMaster = x != null && y != null && this.idx_tile_grid.IsTileInWorld(x, y, minZ);
+        
         // ***** "private" ivars ******
         this._log             = false;
         this._wantedForceLoad = false;
@@ -413,6 +1031,8 @@ var LBITS = (function()
         this._worker_blobURL  = null;
         this._dispatch_n      = 0;
         this._dispatch_cb_n   = 0;
+        this._detail_pending_n = 0;
+        this._detail_failed_n  = 0;
         
         
         if (this.net_multithreading)
@@ -434,11 +1054,11 @@ var LBITS = (function()
             
             if (this.net_worker_inc0_url == null && this.net_worker_inc1_url == null && this.net_worker_inc2_url == null)
             {
-                reason = "No include(s) specified.  You must specify a modified png.js that removes the window and document dependencies, zlib.js, and bitstores.js.";
+                reason = "No include(s) specified.  You must specify the absolute URL of bitstore.js.";
             }
-            else if (!has_libpng)
+            else if (options.img_io_canvas_enable)
             {
-                reason = "libpng / png.js not present.  Canvas cannot run outside the main thread.";
+                reason = "No createImageBitmap / OffscreenCanvas.  Canvas cannot run outside the main thread without them.";
             }
             else if (options.idx_lazyload_detail && !options.idx_lazyload_dim)
             {
@@ -454,7 +1074,23 @@ var LBITS = (function()
         
         if (requested_libpng && !has_libpng && this._log)
         {
-            console.log("LBITS: [%d] init: Warning: Requested libpng aka png.js not found.  Using HTML5 Canvas fallback with degraded performance.", this.layerId);
+            console.log("LBITS: [%d] init: Warning: Built-in PNG decoder unavailable.  Using HTML5 Canvas fallback with degraded performance.", this.layerId);
+        }//if
+        
+        if (grid == null && this._log)
+        {
+            console.log("LBITS: [%d] init: Warning: Unknown idx_tile_grid: %s.  Using Web Mercator.", this.layerId, options.idx_tile_grid);
+        }//if
+        
+        if (this.idx_pyramid_enable && this.idx_lazyload_detail && !this.idx_lazyload_dim)
+        {
+            if (this._log) console.log("LBITS: [%d] init: Warning: idx_pyramid_enable is not supported in full lazy load mode.  Ignored.", this.layerId);
+            this.idx_pyramid_enable = false;
+        }//if
+        
+        if (!hasMaster && this._log)
+        {
+            console.log("LBITS: [%d] init: ERR: Master tile (%s, %s) @ %d is not in the %s grid.  Its x/y must be given if there is more than one tile @ %d.", this.layerId, x, y, minZ, this.idx_tile_grid.name, minZ);
         }//if
         
         if (this._log) console.log("LBITS: [%d] init: layerId=%d, minZ=%d, maxZ=%d, x=%d, y=%d, urlTemplate=%s.  Getting master...", this.layerId, layerId, minZ, maxZ, x, y, urlTemplate);
@@ -462,7 +1098,7 @@ var LBITS = (function()
         
         
         
-        if (this.urlTemplate != null)
+        if (this.urlTemplate != null && hasMaster)
         {
             if (this.idx_datecheck_enable)
             {
@@ -475,20 +1111,10 @@ var LBITS = (function()
         }//if
     }//LBITS (constructor)
     
+//- (bool)      Deprecated: png.js is no longer used.  Always true where typed arrays exist, which the built-in PNG decoder needs.
     LBITS.prototype.Has_libpng = function()
     {
-        var has_libpng = false;
-    
-        try
-        {
-            has_libpng = PNG != null;
-        }//try
-        catch(err)
-        {
-            has_libpng = false;
-        }//catch
-        
-        return has_libpng;
+        return typeof Uint8Array != "undefined";
     };
     
     LBITS.prototype.TestLocalStorage = function()
@@ -549,33 +1175,55 @@ var LBITS = (function()
               +     "{"
               +         "var cb = function(response, userData)"
               +         "{"
-              +             "var rgba   = LBITS.GetNewRGBA8888_FromPNG_libpng(response);"
-              +             "var bs_u16 = BITS.GetBitmapFromRGBA8888Tile(rgba, userData[4], userData[5], userData[6], userData[7], userData[8], userData[9], userData[10]);"
+              +           "LBITS.GetNewRGBA8888_FromResponseAsync(response, userData[14], userData[8], userData[9], function(rgba, spp)"
+              +           "{"
+              +             "if (!BITS.c_IsTileSize(rgba, spp, userData[8], userData[9])) { self.postMessage({op:'DECODE_ERR', user:userData, can_bitmap:LBITS.HasImageBitmapDecode(), ab:response}); return; }"
+              +             "if (userData[15][0] == 'auto') userData[15][0] = LBITS.c_IsLossyImage(new Uint8Array(response));"
+              +             "var ap     = BITS.c_ResolveAutoParams([userData[13], userData[6], userData[7]], rgba, userData[5], userData[8], userData[9], spp);"
+              +             "userData[13] = ap[0]; userData[6] = ap[1]; userData[7] = ap[2];"
+              +             "var bs_u16;"
+              +             "try { bs_u16 = BITS.GetBitmapFromRGBA8888Tile(rgba, userData[4], userData[5], userData[6], userData[7], userData[8], userData[9], userData[10], userData[11], userData[12], userData[13], userData[15], spp); }"
+              +             "catch(err) { self.postMessage({op:'DECODE_ERR', user:userData, can_bitmap:LBITS.HasImageBitmapDecode(), ab:response, err:String(err)}); return; }"
               +             "self.postMessage({op:e.data.op, user:userData, ab:bs_u16.buffer}, [bs_u16.buffer]);"
+              +           "}, BITS.c_GetDecodeChannel(userData[4], userData[5], userData[7], userData[13]));"
               +         "};"
-              +         "LBITS.GetAsync_HTTP(e.data.url, 'arraybuffer', null, cb, e.data.userData); "
+              +         "LBITS.GetAsync_HTTP(e.data.url, 'arraybuffer', null, cb, e.data.userData, self.http_err); "
               +     "}"
               +     "else if (e.data.op == 'GET_BITS_IV_E')"
               +     "{"
               +         "var cb = function(response, userData)"
               +         "{"
-              +             "var rgba   = LBITS.GetNewRGBA8888_FromPNG_libpng(response);"
-              +             "var bs_u16 = BITS.GetBitmapFromRGBA8888Tile(rgba, userData[4], userData[5], userData[6], userData[7], userData[8], userData[9], userData[10]);"
+              +           "LBITS.GetNewRGBA8888_FromResponseAsync(response, userData[14], userData[8], userData[9], function(rgba, spp)"
+              +           "{"
+              +             "if (!BITS.c_IsTileSize(rgba, spp, userData[8], userData[9])) { self.postMessage({op:'DECODE_ERR', user:userData, can_bitmap:LBITS.HasImageBitmapDecode(), ab:response}); return; }"
+              +             "if (userData[15][0] == 'auto') userData[15][0] = LBITS.c_IsLossyImage(new Uint8Array(response));"
+              +             "var ap     = BITS.c_ResolveAutoParams([userData[13], userData[6], userData[7]], rgba, userData[5], userData[8], userData[9], spp);"
+              +             "userData[13] = ap[0]; userData[6] = ap[1]; userData[7] = ap[2];"
+              +             "var bs_u16;"
+              +             "try { bs_u16 = BITS.GetBitmapFromRGBA8888Tile(rgba, userData[4], userData[5], userData[6], userData[7], userData[8], userData[9], userData[10], userData[11], userData[12], userData[13], userData[15], spp); }"
+              +             "catch(err) { self.postMessage({op:'DECODE_ERR', user:userData, can_bitmap:LBITS.HasImageBitmapDecode(), ab:response, err:String(err)}); return; }"
               +             "var ivs    = BITS.c_DecomposeIndexIntoIV(bs_u16);"
-              +             "var ex_u32 = BITS.c_GetPixelExtentFromBitstore(bs_u16, userData[0],userData[1],userData[2],userData[9],userData[10]);"
-              +             "self.postMessage({op:e.data.op, ivs0:ivs[0], ivs1:ivs[1], user:userData, ab:bs_u16.buffer, ex:ex_u32.buffer}, [bs_u16.buffer, ex_u32.buffer]);"
+              +             "var ex_f64 = BITS.c_GetPixelExtentFromBitstore(bs_u16, userData[0],userData[1],userData[2],userData[8],userData[9]);"
+              +             "self.postMessage({op:e.data.op, ivs0:ivs[0], ivs1:ivs[1], user:userData, ab:bs_u16.buffer, ex:ex_f64.buffer}, [bs_u16.buffer, ex_f64.buffer]);"
+              +           "}, BITS.c_GetDecodeChannel(userData[4], userData[5], userData[7], userData[13]));"
               +         "};"
-              +         "LBITS.GetAsync_HTTP(e.data.url, 'arraybuffer', null, cb, e.data.userData); "
+              +         "LBITS.GetAsync_HTTP(e.data.url, 'arraybuffer', null, cb, e.data.userData, self.http_err); "
               +     "}"
               +     "else if (e.data.op == 'IV_BITS_E')"
               +     "{"
               +         "var bs_u16 = LBITS.StorageStreamDescriptorGetAndDecodeIfVerified(e.data.userData[4], e.data.userData[5], e.data.userData[6]);"
               +         "e.data.userData[4] = null;"
-              +         "var ex_u32 = BITS.c_GetPixelExtentFromBitstore(bs_u16, e.data.userData[0], e.data.userData[1], e.data.userData[2], e.data.userData[5], e.data.userData[6]);"
-              +         "self.postMessage({op:e.data.op, user:e.data.userData, ab:bs_u16.buffer, ex:ex_u32.buffer}, [bs_u16.buffer, ex_u32.buffer]);"
+              +         "if (bs_u16 == null) { self.postMessage({op:'IV_ERR', user:e.data.userData}); return; }"
+              +         "var ex_f64 = BITS.c_GetPixelExtentFromBitstore(bs_u16, e.data.userData[0], e.data.userData[1], e.data.userData[2], e.data.userData[5], e.data.userData[6]);"
+              +         "self.postMessage({op:e.data.op, user:e.data.userData, ab:bs_u16.buffer, ex:ex_f64.buffer}, [bs_u16.buffer, ex_f64.buffer]);"
               +     "}"
               + "};"
               
+              + "self.http_err = function(status, userData)"
+              + "{"
+              +     "self.postMessage({op:'HTTP_ERR', user:userData, status:status});"
+              + "};"
+              
               + "self.exec_include = function(e)"
               + "{"
               +     "try"
@@ -608,6 +1256,11 @@ var LBITS = (function()
                     var bits     = e.data.ab != null ? new Uint16Array(e.data.ab) : null;
                     var needExt  = true;
                     
+                    if (e.data.op != "IV_BITS_E" && userData[2] == this.minZ)
+                    {
+                        this.SetResolvedAutoParams([userData[13], userData[6], userData[7], userData[15][0]]);
+                    }//if
+                    
                     if (e.data.ivs0 != null && e.data.ivs1 != null)
                     {
                         this.StorageSet(this.GetStorageKey(userData[0], userData[1], userData[2]), e.data.ivs0, e.data.ivs1);
@@ -621,15 +1274,56 @@ var LBITS = (function()
                     if (e.data.ex != null) //GET_BITS_IV_E, IV_BITS_E
                     {
                         needExt    = false;
-                        var px_ext = new Uint32Array(e.data.ex);
+                        var px_ext = new Float64Array(e.data.ex);
                         this.UpdateLayerExtentFromBitstorePixelExtent(px_ext);
                     }//if
                     
                     this.AddBitstoreFromBitmapIndex(bits, userData[0], userData[1], userData[2], userData[3], needExt);
                 }//if
+                else if (e.data.op == "DECODE_ERR")
+                {
+                    var userData = e.data.user;
+                    
+                    if (userData[14] == "bitmap" && !e.data.can_bitmap)
+                    {
+                        console.log("LBITS.CreateWorker: [%d] ERR: Worker has no createImageBitmap / OffscreenCanvas.  Multithreading disabled.", this.layerId);
+                        this.net_multithreading = false;
+                        this.GetAsync_Any(userData[0], userData[1], userData[2], userData[3]); // retry on the main thread
+                    }//if
+                    else if (e.data.ab != null && typeof document != "undefined")
+                    {
+                        if (e.data.err != null) console.log("LBITS.CreateWorker: [%d] ERR: Worker could not index (%d, %d) @ %d: %s", this.layerId, userData[0], userData[1], userData[2], e.data.err);
+                        
+                        // The worker's decoders can be narrower than the page's, so let the browser try the bytes it downloaded
+                        var lossy = userData[2] == this.minZ && this.img_lossy == "auto" ? LBITS.c_IsLossyImage(new Uint8Array(e.data.ab)) : null;
+                        
+                        if (this._log) console.log("LBITS.CreateWorker: [%d] Worker could not decode (%d, %d) @ %d.  Retrying with Canvas.", this.layerId, userData[0], userData[1], userData[2]);
+                        this.AddAsync_PNG_ImgURL_Canvas(URL.createObjectURL(new Blob([e.data.ab])), userData[0], userData[1], userData[2], userData[3], lossy);
+                    }//else if
+                    else
+                    {
+                        if (this._log) console.log("LBITS.CreateWorker: [%d] ERR: Worker could not decode (%d, %d) @ %d, or it was not %d x %d.  Rejecting.", this.layerId, userData[0], userData[1], userData[2], userData[8], userData[9]);
+                        this.DetailBitstoreDidFinish(userData[2], userData[3], false);
+                    }//else
+                }//else if
+                else if (e.data.op == "HTTP_ERR")
+                {
+                    var userData = e.data.user;
+                    
+                    if (this._log) console.log("LBITS.CreateWorker: [%d] ERR: HTTP %d for (%d, %d) @ %d.", this.layerId, e.data.status, userData[0], userData[1], userData[2]);
+                    this.DetailBitstoreDidFinish(userData[2], userData[3], false);
+                }//else if
+                else if (e.data.op == "IV_ERR")
+                {
+                    var userData = e.data.user;
+                    
+                    if (this._log) console.log("LBITS.CreateWorker: [%d] ERR: Cached index (%d, %d) @ %d is invalid.  Refetching.", this.layerId, userData[0], userData[1], userData[2]);
+                    localStorage.removeItem(this.GetStorageKey(userData[0], userData[1], userData[2]));
+                    this.GetAsync_Any(userData[0], userData[1], userData[2], userData[3]);
+                }//else if
                 else if (e.data.op == "INCLUDE")
                 {
-                    console.log("LBITS.CreateWorker: [%d] ERR: Worker thread could not load png.js, zlib.js and/or bitstore.js.  Multithreading disabled.", this.layerId);
+                    console.log("LBITS.CreateWorker: [%d] ERR: Worker thread could not load bitstore.js.  Multithreading disabled.", this.layerId);
                     this.net_multithreading = false;
                 }//else if
                 
@@ -654,7 +1348,7 @@ var LBITS = (function()
             
             if (!this.Has_libpng())
             {
-                console.log("LBITS.CreateWorker: [%d] ERR: png.js fallback inoperable. Enabling Canvas mode.", this.layerId);
+                console.log("LBITS.CreateWorker: [%d] ERR: PNG decoder fallback inoperable. Enabling Canvas mode.", this.layerId);
                 this.img_io_canvas_enable = true;
             }//if
         }//catch
@@ -663,6 +1357,8 @@ var LBITS = (function()
 //- (void)
     LBITS.prototype.WorkerDispatchAsync = function(op, url, userData)
     {
+        if (url != null && typeof location != "undefined") url = new URL(url, location.href).href; // the worker is a blob: URL, and can't resolve relative URLs
+        
         this._dispatch_n++;
         this._worker.postMessage({op:op, url:url, userData:userData});
     };
@@ -688,7 +1384,7 @@ var LBITS = (function()
             
             if (!this.Has_libpng())
             {
-                if (this._log) console.log("LBITS.KillWorkerIfPossible: [%d] ERR: png.js fallback inoperable. Enabling Canvas mode.", this.layerId);
+                if (this._log) console.log("LBITS.KillWorkerIfPossible: [%d] ERR: PNG decoder fallback inoperable. Enabling Canvas mode.", this.layerId);
                 this.img_io_canvas_enable = true;
             }//if
         }//if
@@ -700,9 +1396,30 @@ var LBITS = (function()
 // LBITS -- Indexing
 // ******************************************************************************************************
 
-//- (BITS*)
+//- (void)  All BITS must be added through here so the quadtree stays in sync with the bitstores array.
+//          Replaces any existing BITS with the same x/y/z.  Its extent is set to the layer's extent zoom level.
+    LBITS.prototype.AddBitstore = function(bs)
+    {
+        if (bs._defExZ != this._defExZ)
+        {
+            bs._defExZ = this._defExZ;
+            bs.UpdateExtent();
+        }//if
+        
+        var old = this._bsqt.Find(bs.x, bs.y, bs.z);
+        var i   = old != null ? this.bitstores.indexOf(old) : -1;
+        
+        if (i != -1) this.bitstores[i] = bs;
+                else this.bitstores.push(bs);
+        
+        this._bsqt.Insert(bs);
+    };
+
+//- (BITS*) x or y of -1 matches any x or y.  Exact matches use the quadtree; wildcards fall back to a linear scan.
     LBITS.prototype.FindBitstoreWithXYZ = function(x, y, z)
     {
+        if (x != -1 && y != -1) return this._bsqt.Find(x, y, z);
+        
         var bs = null;
     
         for (var i=0; i<this.bitstores.length; i++)
@@ -800,34 +1517,44 @@ var LBITS = (function()
 
     
 
-//- (bool)
-    LBITS.prototype.ShouldLoadTile = function(layerId, x, y, z, extent_u32)
+//- (bool)      tile_w is optional, the width of the query tile in pixels if not idx_query_width; see IsQueryZoomInRange.
+//              x/y/z are always the tile's own address.  extent_u32, if present, is in index pixels (img_width/img_height).
+//              With idx_overzoom_enable, a tile past maxZ is answered for its parent @ maxZ, and extent_u32 is ignored.
+//              If the tile grid wraps, x outside of the world is normalized, eg -1 is the last tile, and extent_u32 is ignored.
+    LBITS.prototype.ShouldLoadTile = function(layerId, x, y, z, extent_u32, tile_w)
     {
         var shouldLoad = true;
         
         if (this.layerId == layerId && this.isReady)
         {
             if (this.idx_lazyload_detail && !this._didLazyLoad) { this.FinishLazyLoadInit(); }
+            
+            var nx = this.idx_tile_grid.NormalizeTileX(x, z);
+            
+            if (nx != x) { x = nx; extent_u32 = null; }
+            
+            var ovz = this.GetOverzoomParentTile(x, y, z, tile_w);
+            
+            if (ovz != null) { x = ovz[0]; y = ovz[1]; z = ovz[2]; extent_u32 = null; }
+        
+            var inWorld = this.idx_tile_grid.IsTileInWorld(x, y, z);
         
-            shouldLoad =    z >= this.minZ
-                         && z <= this.maxZ 
-                         && x >= 0 
-                         && y >= 0 
-                         && x < (1<<z) 
-                         && y < (1<<z) 
+            shouldLoad =    this.IsQueryZoomInRange(z, tile_w)
+                         && inWorld
                          && this.IsTileInExtent(x, y, z, extent_u32);
 
             var neededProc = false;
             var bs         = null;
+            var bs_n       = inWorld ? this._bsqt.Query(x, y, z) : 0; // only the BITS covering this tile, not all of them
             
-            for (var i=0; i<this.bitstores.length; i++)
+            for (var i=0; i<bs_n; i++)
             {
-                bs = this.bitstores[i];
+                bs = this._bsqt.buf[i];
             
                 //<LazyLoad>
                 if (this.idx_lazyload_detail && !this.idx_lazyload_dim)
                 {                
-                    if (bs.needGet && !bs[i].getting && bs[i].CanIndexTile(x, y, z, extent_u32))
+                    if (bs.needGet && !bs.getting && bs.CanIndexTile(x, y, z, extent_u32))
                     {
                         bs.getting = true;
                         this.GetAsync_Any(bs.x, bs.y, bs.z, false);
@@ -859,236 +1586,1165 @@ var LBITS = (function()
     };
     
     
-//- (bool)
-    LBITS.prototype.IsTileInExtent = function(x, y, z, extent_u32)
-    {
-        if (this.extent == null) return true;
-        if (extent_u32  == null) extent_u32 = BITS.c_GetNewPxExtentVector_u32(x, y, z, this._defExZ, this.img_width, this.img_height);
-        
-        return !(   extent_u32[2] < this.extent[0] || extent_u32[0] > this.extent[2]
-                 || extent_u32[3] < this.extent[1] || extent_u32[1] > this.extent[3]);
-    };
-    
-
-//- (void)   either get the initial layer extent approximation from the master tile, or refine it with data from additional indices.
-    LBITS.prototype.UpdateLayerExtentFromBitstorePixelExtent = function(px)
-    {
-        if (this.extent == null)
-        {
-            this.extent    = new Uint32Array(16); // hack: account for setting extent async with multiple z levels by tracking the z of each extent coord touch
-            this.extent[0] = 0xFFFFFFFF; 
-            this.extent[1] = 0xFFFFFFFF;
-        }//if
-        
-        BITS.c_vPixelExtentToMercExtent_u32(px, this.img_width, this.img_height);
-
-        if (px[5] >= this.extent[12]) { if (px[0] < this.extent[0]) { this.extent[0] = px[0]; this.extent[12] = px[5]; }
-                                        if (px[2] < this.extent[0]) { this.extent[0] = px[2]; this.extent[12] = px[5]; } }
-        if (px[5] >= this.extent[13]) { if (px[1] < this.extent[1]) { this.extent[1] = px[1]; this.extent[13] = px[5]; }
-                                        if (px[3] < this.extent[1]) { this.extent[1] = px[3]; this.extent[13] = px[5]; } }
-        if (px[5] >= this.extent[14]) { if (px[2] > this.extent[2]) { this.extent[2] = px[2]; this.extent[14] = px[5]; }
-                                        if (px[0] > this.extent[2]) { this.extent[2] = px[0]; this.extent[14] = px[5]; } }
-        if (px[5] >= this.extent[15]) { if (px[3] > this.extent[3]) { this.extent[3] = px[3]; this.extent[15] = px[5]; }
-                                        if (px[1] > this.extent[3]) { this.extent[3] = px[1]; this.extent[15] = px[5]; } }
-    };    
-    
-
-// ******************************************************************************************************
-// LBITS -- Creation -- BIT Creation
-// ******************************************************************************************************
-
-//- (void)
-    LBITS.prototype.AddBitstoreHusk = function(x, y, z)
-    {
-        var bs = new BITS(this.layerId, x, y, z, this.img_width, this.img_height, null, false);
-        this.bitstores.push(bs);
-        bs.needGet = true;
-        bs.getting = false;
-        bs.img_fx_unshadow     = this.img_fx_unshadow;
-        bs.img_fx_unstroke     = this.img_fx_unstroke;
-        bs.img_ch_offset       = this.img_ch_offset;
-        bs.img_alpha_threshold = this.img_alpha_threshold;
-        bs.img_unshd_threshold = this.img_unshd_threshold;
-    };
-
-    
 // ******************************************************************************************************
-// LBITS -- Creation -- BIT Creation -- From Bitmap
+// LBITS -- Indexing -- Batch Queries
 // ******************************************************************************************************
 
-    
-//- (void)            Callback after cache hit
-    LBITS.prototype.AddBitstoreFromBitmapIndex = function(bits, x, y, z, shouldAutoload, shouldUpdateExtent)
+//- (uint8_t*)  Batch version of ShouldLoadTile for every tile in x0...x1, y0...y1 @ z (inclusive), eg, a viewport.
+//              Returns a row-major mask of (x1-x0+1) * (y1-y0+1) elements, where 1 = should load.
+//              Each BITS that covers the range has its bitmap scanned once, rather than once per tile.
+//              With idx_overzoom_enable, a range past maxZ gets the mask of its parents @ maxZ, expanded back to z.
+//              If the tile grid wraps, x0...x1 may extend past either side of the world, eg across the antimeridian.
+    LBITS.prototype.GetTileMaskForTileRange = function(layerId, x0, y0, x1, y1, z, tile_w)
     {
-        if (this.idx_lazyload_detail && !this.idx_lazyload_dim && z > this.minZ)
+        var rw   = x1 >= x0 ? x1 - x0 + 1 : 0;
+        var rh   = y1 >= y0 ? y1 - y0 + 1 : 0;
+        var mask = new Uint8Array(rw * rh);
+        var i,x,y;
+        
+        if (this.layerId != layerId || !this.isReady) // indeterminate, same as ShouldLoadTile
         {
-            this.AddBitstoreFromBitmapIndex_WithLazyLoad(bits, x, y, z, shouldUpdateExtent);
+            for (i=0; i<mask.length; i++) mask[i] = 1;
+            return mask;
         }//if
-        else
+        
+        if (this.idx_lazyload_detail && !this._didLazyLoad) { this.FinishLazyLoadInit(); }
+        
+        var dz = this.GetOverzoomLevels(z, tile_w);
+        
+        if (dz > 0 && mask.length > 0)
         {
-            this.AddBitstoreFromBitmapIndex_NoLazyLoad(bits, x, y, z, shouldUpdateExtent);
-        }//else
+            var s   = Math.pow(2, dz);
+            var px0 = Math.floor(x0 / s), py0 = Math.floor(y0 / s);
+            var pw  = Math.floor(x1 / s) - px0 + 1;
+            var pm  = this.GetTileMaskForTileRange(layerId, px0, py0, Math.floor(x1 / s), Math.floor(y1 / s), z - dz, tile_w);
+            
+            for (y = y0; y <= y1; y++)
+            {
+                for (x = x0; x <= x1; x++)
+                {
+                    mask[(y - y0) * rw + (x - x0)] = pm[(Math.floor(y / s) - py0) * pw + (Math.floor(x / s) - px0)];
+                }//for
+            }//for
+            
+            return mask;
+        }//if
         
-        if (z == this.minZ && this._log) console.log("LBITS.AddBitstoreFromRGBA8888: [%d]: Added master bitstore.", this.layerId);
-
-        if (shouldAutoload)
+        if (!this.IsQueryZoomInRange(z, tile_w) || mask.length == 0) return mask;
+        
+        var max_x = this.idx_tile_grid.GetWorldSizeTilesX(z) - 1;
+        var max_y = this.idx_tile_grid.GetWorldSizeTilesY(z) - 1;
+        
+        // 0. Wrapped around the antimeridian: answer each part of the range inside the world separately
+        if (this.idx_tile_grid.wrap_x && (x0 < 0 || x1 > max_x))
         {
-            if (!this.idx_lazyload_detail || this._wantedForceLoad)
+            var sx0,sx1,nx,sm,sw;
+            
+            for (sx0 = x0; sx0 <= x1; sx0 = sx1 + 1)
             {
-                if (this._log) console.log("LBITS.AddBitstoreFromBitmapIndex: [%d] Autoloading rest of indices (if needed).", this.layerId);
+                nx  = this.idx_tile_grid.NormalizeTileX(sx0, z);
+                sx1 = Math.min(x1, sx0 + max_x - nx);
+                sw  = sx1 - sx0 + 1;
+                sm  = this.GetTileMaskForTileRange(layerId, nx, y0, nx + sw - 1, y1, z, tile_w);
                 
-                if (this._wantedForceLoad)
+                for (y = y0; y <= y1; y++)
                 {
-                    this._didLazyLoad     = true;
-                    this._wantedForceLoad = false;
-                }//if
-                
-                this.AddAllDefaultBitstores();
-            }//if
+                    for (x = 0; x < sw; x++)
+                    {
+                        mask[(y - y0) * rw + (sx0 - x0) + x] = sm[(y - y0) * sw + x];
+                    }//for
+                }//for
+            }//for
             
-            this.isReady = true;
+            return mask;
         }//if
-    };
-    
-//- (void)
-    LBITS.prototype.AddBitstoreFromBitmapIndex_NoLazyLoad = function(bits, x, y, z, shouldUpdateExtent)
-    {
-        var bs = new BITS(this.layerId, x, y, z, this.img_width, this.img_height, bits, true);
-                
-        this.bitstores.push(bs);
         
-        if (shouldUpdateExtent)
+        // 1. Clip to the world and the layer extent, as tile x/y @ z.  An extent crossing the antimeridian is two ranges of x.
+        var ex    = this.GetLayerExtentTileRange(z);
+        var cx0   = Math.max(x0, 0),     cy0 = Math.max(y0, 0);
+        var cx1   = Math.min(x1, max_x), cy1 = Math.min(y1, max_y);
+        var cxs   = [cx0, cx1];
+        
+        if (ex != null)
         {
-            var px_extent = bs.GetPixelExtentFromBitstore();
-            this.UpdateLayerExtentFromBitstorePixelExtent(px_extent);
+            cy0 = Math.max(cy0, ex[1]);
+            cy1 = Math.min(cy1, ex[3]);
+            
+            if (ex[2] > max_x) cxs = [Math.max(cx0, ex[0]), cx1, cx0, Math.min(cx1, ex[2] - max_x - 1, ex[0] - 1)];
+            else               cxs = [Math.max(cx0, ex[0]), Math.min(cx1, ex[2])];
         }//if
         
-        bs.isReady = true;
+        var hit = new Uint8Array(mask.length);
+        var bs_n,bs,j;
+        
+        for (j=0; j<cxs.length; j+=2)
+        {
+            cx0 = cxs[j];
+            cx1 = cxs[j+1];
+            
+            if (cx0 > cx1 || cy0 > cy1) continue;
+            
+            for (y = cy0; y <= cy1; y++)
+            {
+                for (x = cx0; x <= cx1; x++)
+                {
+                    mask[(y - y0) * rw + (x - x0)] = 1;
+                }//for
+            }//for
+            
+            // 2. AND with the bitmap of every BITS that can index part of the clipped range
+            bs_n = this._bsqt.QueryRange(cx0, cy0, cx1, cy1, z);
+            
+            for (i=0; i<bs_n; i++)
+            {
+                bs = this._bsqt.buf[i];
+                
+                if (this.PrepareBitstoreForBatchQuery(bs))
+                {
+                    bs.AndTileMaskForTileRange(mask, hit, x0, y0, rw, cx0, cy0, cx1, cy1, z);
+                }//if
+            }//for
+        }//for
+        
+        return mask;
     };
     
-//- (void)
-    LBITS.prototype.AddBitstoreFromBitmapIndex_WithLazyLoad = function(bits, x, y, z, shouldUpdateExtent)
+//- (NSMutableArray*)   Same as GetTileMaskForTileRange, but returns [xs, ys, z] of only the tiles that should load.
+    LBITS.prototype.GetTileXYsForTileRange = function(layerId, x0, y0, x1, y1, z)
     {
-        var bs = this.FindBitstoreWithXYZ(x,y,z);
+        var mask = this.GetTileMaskForTileRange(layerId, x0, y0, x1, y1, z);
+        var rw   = x1 >= x0 ? x1 - x0 + 1 : 0;
+        var i,n  = 0;
         
-        if (bs != null && bs.needGet && bs.getting)
+        for (i=0; i<mask.length; i++) n += mask[i];
+        
+        var xs = new Uint32Array(n);
+        var ys = new Uint32Array(n);
+        
+        for (i=0,n=0; i<mask.length; i++)
         {
-            bs.needGet = false;
-            bs.getting = false;
-            bs.data    = bits;
-            
-            if (shouldUpdateExtent && z == this.minZ)
+            if (mask[i] != 0)
             {
-                var px_extent = bs.GetPixelExtentFromBitstore();
-                this.UpdateLayerExtentFromBitstorePixelExtent(px_extent);
+                xs[n] = x0 + i % rw;
+                ys[n] = y0 + Math.floor(i / rw);
+                n++;
             }//if
-            
-            bs.isReady = true;
-        }//if
+        }//for
+        
+        return [xs, ys, z];
     };
     
+//- (NSMutableArray*)   Same as GetTileXYsForTileRange, for a WGS84 lat/lon bounding box.  Returns [xs, ys, z].
+    LBITS.prototype.GetTileXYsForLatLonBounds = function(layerId, lat0, lon0, lat1, lon1, z)
+    {
+        var r = this.GetTileRangeForLatLonBounds(lat0, lon0, lat1, lon1, z);
+        return this.GetTileXYsForTileRange(layerId, r[0], r[1], r[2], r[3], z);
+    };
     
+//- (int32_t*)  Returns tile range [x0, y0, x1, y1] @ z (inclusive) for a WGS84 lat/lon bounding box.
+    LBITS.prototype.GetTileRangeForLatLonBounds = function(lat0, lon0, lat1, lon1, z)
+    {
+        return this.idx_tile_grid.GetTileRangeForLatLonBounds(lat0, lon0, lat1, lon1, z, this.img_width, this.img_height);
+    };
     
-
-    
-// ******************************************************************************************************
-// LBITS -- Creation -- BIT Creation -- From RGBA8888
-// ******************************************************************************************************    
-    
-//- (void)           Called after HTTP GET -> PNG -> RGBA8888
-    LBITS.prototype.AddBitstoreFromRGBA8888 = function(rgba, x, y, z, shouldAutoload)
-    {    
-        if (this.idx_lazyload_detail && !this.idx_lazyload_dim && z > this.minZ)
-        {
-            this.AddBitstoreFromRGBA8888_WithLazyLoad(rgba, x, y, z);
-        }//if
-        else
-        {
-            this.AddBitstoreFromRGBA8888_NoLazyLoad(rgba, x, y, z);
-        }//else
-        
-        if (z == this.minZ && this._log) console.log("LBITS.AddBitstoreFromRGBA8888: [%d]: Added master bitstore.", this.layerId);
-
-        if (shouldAutoload)
+//- (bool)  Lazy load handling for batch queries.  Returns true if bs can be used to answer queries right now.
+    LBITS.prototype.PrepareBitstoreForBatchQuery = function(bs)
+    {
+        if (this.idx_lazyload_detail && !this.idx_lazyload_dim)
         {
-            if (!this.idx_lazyload_detail || this._wantedForceLoad)
+            if (bs.needGet)
             {
-                if (this._log) console.log("LBITS.AddBitstoreFromRGBA8888: [%d] Autoloading rest of indices (if needed).", this.layerId);
-
-                if (this._wantedForceLoad)
+                if (!bs.getting)
                 {
-                    this._didLazyLoad     = true;
-                    this._wantedForceLoad = false;
+                    bs.getting = true;
+                    this.GetAsync_Any(bs.x, bs.y, bs.z, false);
                 }//if
-
-                this.AddAllDefaultBitstores();
+                
+                return false; // lower resolution parent indices will answer for it until then
+            }//if
+            
+            if (bs.needProc)
+            {
+                bs.FinishLazyLoad();
+                
+                var ivs = bs.DecomposeIndexIntoIV();
+                if (ivs != null) this.StorageSet(this.GetStorageKey(bs.x, bs.y, bs.z), ivs[0], ivs[1]);
             }//if
-        
-            this.isReady = true;
         }//if
+        
+        return bs.isReady && !bs.needGet && bs.data != null;
     };
     
-
+//- (double)    Fraction [0.0 ... 1.0] of the tile x/y @ z covered by data, from the most detailed index available for it.
+//              As with ShouldLoadTile, anything indeterminate errs towards data: 1.0 is returned if no index can answer yet.
+    LBITS.prototype.GetTileCoverage = function(layerId, x, y, z, tile_w)
+    {
+        x = this.idx_tile_grid.NormalizeTileX(x, z);
+        
+        var ovz = this.GetOverzoomParentTile(x, y, z, tile_w);
+        
+        if (ovz != null) { x = ovz[0]; y = ovz[1]; z = ovz[2]; }
+        
+        var bs = this.GetDeepestBitstoreForTile(layerId, x, y, z, tile_w);
+        
+        if      (bs == null)  return this.ShouldLoadTile(layerId, x, y, z, null, tile_w) ? 1.0 : 0.0;
+        else if (bs === false) return 0.0;
+        
+        return bs.GetTileCoverage(x, y, z);
+    };
     
-//- (void)
-    LBITS.prototype.AddBitstoreFromRGBA8888_NoLazyLoad = function(rgba, x, y, z)
+//- (size_t)    Number of set index pixels under the footprint of tile x/y @ z, from the most detailed index available for it.
+//              Returns -1 if indeterminate.  Note the pixel size depends on which index answered; see GetTileCoverage.
+    LBITS.prototype.GetTileDataCount = function(layerId, x, y, z, tile_w)
     {
-        var bs = new BITS(this.layerId, x, y, z, this.img_width, this.img_height, null, false);
-        this.bitstores.push(bs);
-        bs.isReady = true;        
+        x = this.idx_tile_grid.NormalizeTileX(x, z);
         
-        bs.SetBitmapFromRGBA8888Tile(rgba, this.img_fx_unshadow, this.img_fx_unstroke, this.img_ch_offset, this.img_alpha_threshold, this.img_unshd_threshold);
-            
-        var px_extent = bs.GetPixelExtentFromBitstore();
-        this.UpdateLayerExtentFromBitstorePixelExtent(px_extent);
+        var ovz = this.GetOverzoomParentTile(x, y, z, tile_w);
         
-        this.AddBitstoreToLocalCache(bs);
+        if (ovz != null) { x = ovz[0]; y = ovz[1]; z = ovz[2]; }
+        
+        var bs = this.GetDeepestBitstoreForTile(layerId, x, y, z, tile_w);
+        
+        if      (bs == null)  return this.ShouldLoadTile(layerId, x, y, z, null, tile_w) ? -1 : 0;
+        else if (bs === false) return 0;
+        
+        return bs.GetTileDataCount(x, y, z);
     };
     
+//- (bool)  Whether the most detailed index available says tile x/y @ z is entirely data.  False if indeterminate.
+    LBITS.prototype.IsTileFullyCoveredByData = function(layerId, x, y, z, tile_w)
+    {
+        x = this.idx_tile_grid.NormalizeTileX(x, z);
+        
+        var ovz = this.GetOverzoomParentTile(x, y, z, tile_w);
+        
+        if (ovz != null) { x = ovz[0]; y = ovz[1]; z = ovz[2]; }
+        
+        var bs = this.GetDeepestBitstoreForTile(layerId, x, y, z, tile_w);
+        
+        return bs != null && bs !== false && bs.GetTileCoverage(x, y, z) >= 1.0;
+    };
     
-//- (void)
-    LBITS.prototype.AddBitstoreFromRGBA8888_WithLazyLoad = function(rgba, x, y, z)
+//- (BITS*) Returns the highest zoom level BITS which can answer for tile x/y @ z now, false if the tile is ruled out by
+//          zoom level, world or layer extent, or null if indeterminate.
+    LBITS.prototype.GetDeepestBitstoreForTile = function(layerId, x, y, z, tile_w)
     {
-        var bs = this.FindBitstoreWithXYZ(x,y,z);
+        x = this.idx_tile_grid.NormalizeTileX(x, z);
         
-        if (bs != null && bs.needGet && bs.getting)
+        var ovz = this.GetOverzoomParentTile(x, y, z, tile_w);
+        
+        if (ovz != null) { x = ovz[0]; y = ovz[1]; z = ovz[2]; }
+        
+        if (this.layerId != layerId || !this.isReady) return null;
+        
+        if (this.idx_lazyload_detail && !this._didLazyLoad) { this.FinishLazyLoadInit(); }
+        
+        if (  !this.IsQueryZoomInRange(z, tile_w)
+            || !this.idx_tile_grid.IsTileInWorld(x, y, z)
+            || !this.IsTileInExtent(x, y, z, null))
         {
-            bs.needGet  = false;
-            bs.getting  = false;
-            bs.isReady  = true;
-            bs.tempData = rgba;
-            bs.needProc = true; 
+            return false;
         }//if
-        else
+        
+        var bs_n = this._bsqt.Query(x, y, z);
+        
+        for (var i=bs_n-1; i>=0; i--)
         {
-            if (this._log) console.log("LBITS.AddBitstoreFromRGBA8888: [%d] ERR: couldn't match lazyload (%d, %d) @ %d", this.layerId, x, y, z);
-        }//else
+            if (this.PrepareBitstoreForBatchQuery(this._bsqt.buf[i])) return this._bsqt.buf[i];
+        }//for
+        
+        return null;
     };
     
-    
-    
-    
-    
 // ******************************************************************************************************
-// LBITS -- Creation -- "Queries"
+// LBITS -- Indexing -- Point Queries
 // ******************************************************************************************************
+
+//- (bool)  "Is there data here?" for a WGS84 lat/lon, eg for click handlers and tooltips, without fetching any tiles.
+//          As with ShouldLoadTile, returns true if indeterminate.
+    LBITS.prototype.HasDataAtLatLon = function(layerId, lat, lon)
+    {
+        return this.QueryLatLon(layerId, lat, lon)[0] != 0;
+    };
     
-    
-    
-//- (void)            Do not use until z=0 bitstore is ready.
-    LBITS.prototype.AddAllDefaultBitstores = function()
+//- (NSMutableArray*)   Point query for a WGS84 lat/lon against the most detailed index available there.
+//                      Returns [has_data, z, m_per_px]:
+//                        has_data: 1 if the index has data at the point, 0 if not, -1 if indeterminate.
+//                               z: zoom level of the index tile that answered, or -1.
+//                        m_per_px: ground resolution of one pixel of that index at this latitude, in meters, or 0.
+    LBITS.prototype.QueryLatLon = function(layerId, lat, lon)
     {
-        var sr = this.FindOptimalSingleIndex();
+        if (this.layerId != layerId || !this.isReady) return [-1, -1, 0.0];
         
-        if (sr != null && (sr[3] == 1 || this.idx_max_bitmap_n == 1))
+        if (this.idx_lazyload_detail && !this._didLazyLoad) { this.FinishLazyLoadInit(); }
+        
+        lon = ((lon + 180.0) % 360.0 + 360.0) % 360.0 - 180.0; // [-180, 180)
+        
+        var w    = this.img_width;
+        var h    = this.img_height;
+        var grid = this.idx_tile_grid;
+        var v    = new Float64Array(2);
+        
+        grid.SetPxFromLatLon_f64(v, lat, lon, 0, w, h);
+        
+        if (   !(v[0] >= 0 && v[0] <= grid.GetWorldSizeTilesX(0) * w)   // also NaN
+            || !(v[1] >= 0 && v[1] <= grid.GetWorldSizeTilesY(0) * h)) return [0, -1, 0.0];
+        
+        if (this.extent != null)
         {
-            this._hasCompleteSingleIndex = sr[3] == 1;
+            grid.SetPxFromLatLon_f64(v, lat, lon, this._defExZ, w, h);
             
-            if (sr[2] != 0)
-            {
-                if (this.idx_lazyload_detail && !this.idx_lazyload_dim) this.AddBitstoreHusk(sr[0], sr[1], sr[2]);
-                                                                  else  this.GetAsync_Any(   sr[0], sr[1], sr[2], false);
-            }//if
+            var ex_x = Math.floor(v[0]);
+            var ex_y = Math.floor(v[1]);
+            var ex   = this.GetLayerExtentPx_f64(); // far edges of the last data pixels
+            
+            if (   !LBITS.c_DoesPxRangeOverlapExtent(ex_x, ex_x, ex[0], ex[2], this.GetExtentWrapWidthPx())
+                || ex_y < ex[1] || ex_y >= ex[3]) return [0, -1, 0.0];
+        }//if
+        
+        var qz   = this.maxZ;
+        
+        grid.SetPxFromLatLon_f64(v, lat, lon, qz, w, h);
+        
+        var bs_n = this._bsqt.Query(Math.floor(v[0] / w), Math.floor(v[1] / h), qz);
+        var bs,px,py;
+        
+        for (var i=bs_n-1; i>=0; i--)
+        {
+            bs = this._bsqt.buf[i];
+            
+            if (this.PrepareBitstoreForBatchQuery(bs))
+            {
+                grid.SetPxFromLatLon_f64(v, lat, lon, bs.z, w, h);
+                
+                px = Math.floor(v[0]) - bs.x * w;
+                py = Math.floor(v[1]) - bs.y * h;
+                px = Math.min(Math.max(px, 0), w - 1);
+                py = Math.min(Math.max(py, 0), h - 1);
+                
+                return [bs.GetBit(px, py) ? 1 : 0, bs.z, grid.GetMetersPerPixel(lat, lon, bs.z, w, h)];
+            }//if
+        }//for
+        
+        return [-1, -1, 0.0];
+    };
+    
+//- (NSMutableArray*)   Same as FindNearestDataToLatLon, starting from the center of tile x/y @ z.
+    LBITS.prototype.FindNearestDataToTile = function(layerId, x, y, z)
+    {
+        var ll = new Float64Array(2);
+        
+        this.idx_tile_grid.SetLatLonFromPx_f64(ll, (x + 0.5) * this.img_width, (y + 0.5) * this.img_height, z, this.img_width, this.img_height);
+        
+        return this.FindNearestDataToLatLon(layerId, ll[0], ll[1]);
+    };
+
+//- (NSMutableArray*)   Finds the nearest data to a WGS84 lat/lon, eg to point the user somewhere after zooming into an empty area.
+//
+//                      The set pixels (DecomposeIndexIntoXY) of every loaded index are searched, starting with the master at minZ.
+//                      Where a detail index is loaded, it supersedes the pixels of lower zoom indices it covers.  Indices are
+//                      visited nearest first, and skipped once they cannot beat the best match.  Distance is ranked in pixels of
+//                      the tile grid, and wraps around the antimeridian if the grid does.
+//
+//                      Returns [lat, lon, dist_m, z]: the nearest point on the nearest data pixel, the great-circle distance to
+//                      it in meters, and the zoom level of the index it came from.  (which limits its precision)
+//                      Returns null if there is no data or nothing is loaded yet.
+    LBITS.prototype.FindNearestDataToLatLon = function(layerId, lat, lon)
+    {
+        if (this.layerId != layerId || !this.isReady) return null;
+        
+        if (this.idx_lazyload_detail && !this._didLazyLoad) { this.FinishLazyLoadInit(); }
+        
+        lon = ((lon + 180.0) % 360.0 + 360.0) % 360.0 - 180.0;
+        
+        var w     = this.img_width;
+        var h     = this.img_height;
+        var grid  = this.idx_tile_grid;
+        var fz    = this._defExZ;      // all distances are in fractional pixels @ this zoom level
+        var ww    = grid.GetWorldSizeTilesX(fz) * w;
+        var wh    = grid.GetWorldSizeTilesY(fz) * h;
+        var pt    = new Float64Array(3); // d^2, x, y
+        
+        grid.SetPxFromLatLon_f64(pt, lat, lon, fz, w, h);
+        
+        var sx    = Math.min(Math.max(pt[0], 0), ww);
+        var sy    = Math.min(Math.max(pt[1], 0), wh);
+        
+        if (sx != pt[0] || sy != pt[1]) // outside of the world, eg near the poles in Web Mercator: start from its edge
+        {
+            grid.SetLatLonFromPx_f64(pt, sx, sy, fz, w, h);
+            lat = pt[0];
+            lon = pt[1];
+        }//if
+        
+        if (!grid.wrap_x) ww = 0;
+
+        var order = new Array();
+        var i,j,bs,sc,xys,xs,ys,x0,y0;
+        
+        // 1. Usable indices, nearest tile first
+        for (i=0; i<this.bitstores.length; i++)
+        {
+            bs = this.bitstores[i];
+            
+            if (this.PrepareBitstoreForBatchQuery(bs))
+            {
+                sc = Math.pow(2, fz - bs.z);
+                BITS.c_SetNearestPointOnRect_f64(pt, sx, sy, bs.x * w * sc, bs.y * h * sc, (bs.x + 1) * w * sc, (bs.y + 1) * h * sc, ww);
+                order.push([pt[0], bs]);
+            }//if
+        }//for
+        
+        order.sort(function(a, b) { return a[0] - b[0]; });
+        
+        // 2. Nearest set pixel not superseded by a deeper index
+        var best_d = Infinity, best_x = 0, best_y = 0, best_z = -1;
+        
+        for (i=0; i<order.length && order[i][0] < best_d; i++)
+        {
+            bs  = order[i][1];
+            sc  = Math.pow(2, fz - bs.z);
+            xys = bs.DecomposeIndexIntoXY();
+            xs  = xys[0];
+            ys  = xys[1];
+            
+            for (j=0; xs != null && j<xs.length; j++)
+            {
+                x0 = (bs.x * w + xs[j]) * sc;
+                y0 = (bs.y * h + ys[j]) * sc;
+                
+                BITS.c_SetNearestPointOnRect_f64(pt, sx, sy, x0, y0, x0 + sc, y0 + sc, ww);
+                
+                if (pt[0] < best_d && !this.IsPixelSupersededByDeeperBitstore(bs, xs[j], ys[j]))
+                {
+                    best_d = pt[0];
+                    best_x = pt[1];
+                    best_y = pt[2];
+                    best_z = bs.z;
+                }//if
+            }//for
+        }//for
+        
+        if (best_z == -1) return null;
+        
+        grid.SetLatLonFromPx_f64(pt, best_x, best_y, fz, w, h);
+        
+        return [pt[0], pt[1], BITS.c_GetHaversineDistance(lat, lon, pt[0], pt[1]), best_z];
+    };
+    
+//- (bool)  Whether pixel px/py of bs is entirely covered by a ready BITS at a higher zoom level.
+    LBITS.prototype.IsPixelSupersededByDeeperBitstore = function(bs, px, py)
+    {
+        var w    = this.img_width;
+        var h    = this.img_height;
+        var gx   = bs.x * w + px;
+        var gy   = bs.y * h + py;
+        var pz   = bs.z + LBITS.GetMaxZoomLevelSingleIndexForTileWidthHeightPx(w, h); // a tile @ pz is about one pixel
+        var bs_n = this._bsqt.Query(Math.floor(BITS.c_MercXZtoMercXZ(gx, bs.z, pz) / w), Math.floor(BITS.c_MercXZtoMercXZ(gy, bs.z, pz) / h), pz);
+        var d;
+        
+        for (var i=bs_n-1; i>=0; i--)
+        {
+            d = this._bsqt.buf[i];
+            
+            if (   d.z > bs.z && d.isReady && !d.needGet && !d.needProc && d.data != null
+                && BITS.c_MercXZtoMercXZ(gx,     bs.z, d.z) >=  d.x      * w     // unless w and h are powers of 2, d's edges
+                && BITS.c_MercXZtoMercXZ(gy,     bs.z, d.z) >=  d.y      * h     // can fall inside a pixel
+                && BITS.c_MercXZtoMercXZ(gx + 1, bs.z, d.z) <= (d.x + 1) * w
+                && BITS.c_MercXZtoMercXZ(gy + 1, bs.z, d.z) <= (d.y + 1) * h) return true;
+        }//for
+        
+        return false;
+    };
+    
+// ******************************************************************************************************
+// LBITS -- Indexing -- Enumeration
+// ******************************************************************************************************
+
+//- (LBITSTileIterator*)    Returns an iterator over every tile x/y @ z that the index says intersects data.
+//                          z must be within minZ...maxZ (see IsQueryZoomInRange), and the master index must be ready,
+//                          otherwise nothing is returned.
+//                          Results reflect the indices loaded when each tile is reached.
+//
+//                          var it = lbits.GetDataTileIterator(2, 12);
+//                          var xy;
+//                          while ((xy = it.Next()) != null) { ... }        or:     var page = it.NextPage(1000); // [xs, ys, z]
+    LBITS.prototype.GetDataTileIterator = function(layerId, z, tile_w)
+    {
+        var bs = this.layerId == layerId && this.isReady ? this.FindBitstoreWithXYZ(-1, -1, this.minZ) : null;
+        
+        if (this.idx_lazyload_detail && !this._didLazyLoad && bs != null) { this.FinishLazyLoadInit(); }
+        
+        if (bs == null || !this.IsQueryZoomInRange(z, tile_w)) return new LBITSTileIterator(null, 0, 0, 0, z);
+        if (z < bs.z) return new LBITSTileIterator(this, bs.x >>> (bs.z - z), bs.y >>> (bs.z - z), z, z); // larger query tiles, above the master
+        
+        return new LBITSTileIterator(this, bs.x, bs.y, bs.z, z);
+    };
+    
+//- (size_t)    Number of tiles @ z that the index says intersect data.  Iterates through all of them; may be slow at high zoom levels.
+    LBITS.prototype.GetDataTileCount = function(layerId, z, tile_w)
+    {
+        var it = this.GetDataTileIterator(layerId, z, tile_w);
+        
+        while (it.Next() != null) { }
+        
+        return it.count;
+    };
+    
+//- (bool)  Index-only test of whether tile x/y @ z intersects data, without the minZ/maxZ and layerId checks of ShouldLoadTile.
+//          Only BITS at or below z are used, so a tile that fails this has no data in any of its children either.
+    LBITS.prototype.DoesTileIntersectIndexData = function(x, y, z)
+    {
+        x = this.idx_tile_grid.NormalizeTileX(x, z);
+        
+        if (!this.idx_tile_grid.IsTileInWorld(x, y, z) || !this.IsTileInExtent(x, y, z, null)) return false;
+        
+        var bs_n = this._bsqt.Query(x, y, z);
+        var bs;
+        
+        for (var i=0; i<bs_n; i++)
+        {
+            bs = this._bsqt.buf[i];
+            
+            if (this.PrepareBitstoreForBatchQuery(bs) && !bs.DoesTileIntersectData(x, y, z)) return false;
+        }//for
+        
+        return true;
+    };
+    
+//- (bool)  Whether tiles @ z, tile_w pixels wide, are within minZ...maxZ.  tile_w defaults to idx_query_width, then img_width.
+//          Tiles are compared at the same level of detail, as zoom levels are for img_width tiles: eg, with 256px indices, a
+//          512px tile @ 4 is in range if 256px tiles @ 5 are.  A tile's footprint is the same at any size, so nothing else changes.
+//          This does not include overzooming; see GetOverzoomLevels.
+    LBITS.prototype.IsQueryZoomInRange = function(z, tile_w)
+    {
+        var iz = this.GetIndexZoomForQueryZoom(z, tile_w);
+        
+        return iz >= this.minZ && iz <= this.maxZ;
+    };
+    
+//- (int32_t)   Zoom level of img_width tiles with the same detail as tiles @ z, tile_w pixels wide.  See IsQueryZoomInRange.
+    LBITS.prototype.GetIndexZoomForQueryZoom = function(z, tile_w)
+    {
+        if (tile_w == null) tile_w = this.idx_query_width != null ? this.idx_query_width : this.img_width;
+        
+        return z + LBITS.c_GetZoomOffsetForTilePx(tile_w, this.img_width);
+    };
+    
+//- (int32_t)   With idx_overzoom_enable, the number of zoom levels tiles @ z (tile_w pixels wide) are past maxZ.  Otherwise, 0.
+    LBITS.prototype.GetOverzoomLevels = function(z, tile_w)
+    {
+        if (!this.idx_overzoom_enable) return 0;
+        
+        var iz = this.GetIndexZoomForQueryZoom(z, tile_w);
+        
+        return iz > this.maxZ ? iz - this.maxZ : 0;
+    };
+    
+//- (uint32_t*) With idx_overzoom_enable, returns the parent [x, y, z] of tile x/y @ z whose detail is maxZ, if z is past it.
+//              This is the tile to fetch instead when the map overzooms the last native level.  The parent's z is a query
+//              zoom level like z, so with 512px query tiles over 256px indices it is maxZ-1.
+//              Returns null if the tile is not past maxZ, or overzooming is off.
+    LBITS.prototype.GetOverzoomParentTile = function(x, y, z, tile_w)
+    {
+        var dz = this.GetOverzoomLevels(z, tile_w);
+        
+        if (dz == 0) return null;
+        
+        x = this.idx_tile_grid.NormalizeTileX(x, z);
+        
+        var p = new Uint32Array(3);
+        p[0] = BITS.c_MercXZtoMercXZ(x, z, z - dz);
+        p[1] = BITS.c_MercXZtoMercXZ(y, z, z - dz);
+        p[2] = z - dz;
+        
+        return p;
+    };
+    
+//- (uint32_t*) Returns the layer extent as an inclusive tile range [x0, y0, x1, y1] @ z, or null if there is no extent yet.
+//              If the extent crosses the antimeridian, x1 is past the last tile of the world, continuing from x=0.
+    LBITS.prototype.GetLayerExtentTileRange = function(z)
+    {
+        if (this.extent == null) return null;
+        
+        var r = new Uint32Array(4);
+        r[0] = Math.floor(BITS.c_MercXZtoMercXZ(this.extent[0], this._defExZ, z) / this.img_width);
+        r[1] = Math.floor(BITS.c_MercXZtoMercXZ(this.extent[1], this._defExZ, z) / this.img_height);
+        r[2] = Math.floor(BITS.c_MercXZtoMercXZ(this.extent[2] + Math.pow(2, this._defExZ - this.extent[14]) - 1, this._defExZ, z) / this.img_width);
+        r[3] = Math.floor(BITS.c_MercXZtoMercXZ(this.extent[3] + Math.pow(2, this._defExZ - this.extent[15]) - 1, this._defExZ, z) / this.img_height);
+        
+        return r;
+    };
+    
+    
+//- (bool)
+    LBITS.prototype.IsTileInExtent = function(x, y, z, extent_u32)
+    {
+        if (this.extent == null) return true;
+        if (extent_u32  == null) extent_u32 = BITS.c_GetNewPxExtentVector_u32(x, y, z, this._defExZ, this.img_width, this.img_height);
+        
+        // Compare against the far edges of the last data pixels.  Unless the tile size is a power of 2, a tile can start
+        // inside one of them.
+        var x1 = this.extent[2] + Math.pow(2, this._defExZ - this.extent[14]);
+        var y1 = this.extent[3] + Math.pow(2, this._defExZ - this.extent[15]);
+        
+        return    LBITS.c_DoesPxRangeOverlapExtent(extent_u32[0], extent_u32[2], this.extent[0], x1, this.GetExtentWrapWidthPx())
+              && !(extent_u32[3] < this.extent[1] || extent_u32[1] >= y1);
+    };
+    
+//- (double)    Width of the world in pixels @ the extent zoom level if the tile grid wraps around the antimeridian, otherwise 0.
+//              An extent crossing the antimeridian is kept unwrapped: x0 is inside of the world, and x1 past its far edge.
+    LBITS.prototype.GetExtentWrapWidthPx = function()
+    {
+        return this.idx_tile_grid.wrap_x ? this.idx_tile_grid.GetWorldSizeTilesX(this._defExZ) * this.img_width : 0;
+    };
+    
+
+//- (void)   either get the initial layer extent approximation from the master tile, or refine it with data from additional indices.
+//           If the tile grid wraps, x is the shortest span around the world covering the data, which may cross the antimeridian.
+    LBITS.prototype.UpdateLayerExtentFromBitstorePixelExtent = function(px)
+    {
+        if (this.extent == null)
+        {
+            this.extent    = new Float64Array(16); // hack: account for setting extent async with multiple z levels by tracking the z of each extent coord touch
+            this.extent[0] = Infinity; 
+            this.extent[1] = Infinity;
+        }//if
+        
+        var e0 = this.extent[0], e1 = this.extent[1], e2 = this.extent[2], e3 = this.extent[3];
+        var ww = this.GetExtentWrapWidthPx();
+        
+        // A tile as wide as the world can have data on both sides of the antimeridian, with a wider gap between them than
+        // around the edges of the tile.  If so, its x extent goes the other way around, x0 > x1.
+        if (   ww > 0 && px.length >= 10 && px[8] >= 0 && this.idx_tile_grid.GetWorldSizeTilesX(px[4]) == 1
+            && px[9] - px[8] + 1 > px[0] + (this.img_width - 1 - px[2]))
+        {
+            var gx0 = px[8];
+            px[0]   = px[9] + 1;
+            px[2]   = gx0 - 1;
+        }//if
+        
+        BITS.c_vPixelExtentToMercExtent_u32(px, this.img_width, this.img_height, this._defExZ);
+
+        if (ww > 0)
+        {
+            this.UpdateLayerExtentX_Wrapped(px, ww);
+        }//if
+        else
+        {
+            if (px[5] >= this.extent[12]) { if (px[0] < this.extent[0]) { this.extent[0] = px[0]; this.extent[12] = px[5]; }
+                                            if (px[2] < this.extent[0]) { this.extent[0] = px[2]; this.extent[12] = px[5]; } }
+            if (px[5] >= this.extent[14]) { if (px[2] > this.extent[2]) { this.extent[2] = px[2]; this.extent[14] = px[5]; }
+                                            if (px[0] > this.extent[2]) { this.extent[2] = px[0]; this.extent[14] = px[5]; } }
+        }//else
+        
+        if (px[5] >= this.extent[13]) { if (px[1] < this.extent[1]) { this.extent[1] = px[1]; this.extent[13] = px[5]; }
+                                        if (px[3] < this.extent[1]) { this.extent[1] = px[3]; this.extent[13] = px[5]; } }
+        if (px[5] >= this.extent[15]) { if (px[3] > this.extent[3]) { this.extent[3] = px[3]; this.extent[15] = px[5]; }
+                                        if (px[1] > this.extent[3]) { this.extent[3] = px[1]; this.extent[15] = px[5]; } }
+                                        
+        if (   this.extentChangedCallback != null
+            && (e0 != this.extent[0] || e1 != this.extent[1] || e2 != this.extent[2] || e3 != this.extent[3]))
+        {
+            this.extentChangedCallback(this.GetLayerExtentLatLonBounds(), this.layerId);
+        }//if
+    };    
+    
+//- (void)   x half of UpdateLayerExtentFromBitstorePixelExtent, for a tile grid that wraps around the world, ww pixels wide.
+//           px x0 > x1 crosses the antimeridian.  The new x extent is the shorter of the two spans around the world starting
+//           at either x0 which covers both; as with the unwrapped case, an index can't move an edge set by a more detailed one.
+    LBITS.prototype.UpdateLayerExtentX_Wrapped = function(px, ww)
+    {
+        var ez = this._defExZ;
+        var b0 = px[0];
+        var b1 = px[2] < px[0] ? px[2] + ww : px[2];
+        var bl = b1 + Math.pow(2, ez - px[5]) - b0;     // lengths, to the far edge of the last pixel
+        
+        if (this.extent[0] == Infinity)
+        {
+            this.extent[0] = b0; this.extent[12] = px[5];
+            this.extent[2] = b1; this.extent[14] = px[5];
+            return;
+        }//if
+        
+        var a0 = this.extent[0];
+        var al = this.extent[2] + Math.pow(2, ez - this.extent[14]) - a0;
+        var da = ((b0 - a0) % ww + ww) % ww;            // b0, east of a0
+        var db = ((a0 - b0) % ww + ww) % ww;            // a0, east of b0
+        var la = Math.max(al, da + bl);                 // starting at a0
+        var lb = Math.max(bl, db + al);                 // starting at b0
+        
+        if (la >= ww && lb >= ww)
+        {
+            if (px[5] >= this.extent[12] && px[5] >= this.extent[14])
+            {
+                this.extent[0] = 0;      this.extent[12] = ez;
+                this.extent[2] = ww - 1; this.extent[14] = ez;
+            }//if
+        }//if
+        else if (la <= lb)
+        {
+            if (da + bl > al && px[5] >= this.extent[14]) { this.extent[2] = a0 + da + b1 - b0; this.extent[14] = px[5]; }
+        }//else if
+        else if (px[5] >= this.extent[12])
+        {
+            if (db + al > bl)                   { this.extent[2] = b0 + db + this.extent[2] - a0; }
+            else if (px[5] >= this.extent[14])  { this.extent[2] = b1;                            this.extent[14] = px[5]; }
+            else return;
+            
+            this.extent[0] = b0; this.extent[12] = px[5];
+        }//else if
+    };
+    
+//- (double*)   Layer extent as WGS84 bounds [south, west, north, east], or null if there is no extent yet.
+//              From the four corners of the extent, which is exact for the built-in grids.
+//              If the extent crosses the antimeridian, west > east, as with google.maps.LatLngBounds.
+    LBITS.prototype.GetLayerExtentLatLonBounds = function()
+    {
+        var v = this.GetLayerExtentPx_f64();
+        
+        if (v == null) return null;
+        
+        var r  = [Infinity, Infinity, -Infinity, -Infinity];
+        var ll = new Float64Array(2);
+        
+        for (var i=0; i<4; i++)
+        {
+            this.idx_tile_grid.SetLatLonFromPx_f64(ll, v[(i & 1) << 1], v[(i & 2) + 1], this._defExZ, this.img_width, this.img_height);
+            
+            r[0] = Math.min(r[0], ll[0]);
+            r[1] = Math.min(r[1], ll[1]);
+            r[2] = Math.max(r[2], ll[0]);
+            r[3] = Math.max(r[3], ll[1]);
+        }//for
+        
+        if (r[3] > 180.0) r[3] -= 360.0; // unwrapped
+        
+        return r;
+    };
+    
+//- (double*)   Layer extent [x0, y0, x1, y1] as pixels @ the extent zoom level, or null if there is no extent yet.
+//              Unlike this.extent, x1/y1 are the far edges of the last data pixels, using the zoom level each was set from.
+//              x1 is past the far edge of the world if the extent crosses the antimeridian; see GetExtentWrapWidthPx.
+    LBITS.prototype.GetLayerExtentPx_f64 = function()
+    {
+        if (this.extent == null) return null;
+        
+        var v = new Float64Array(4);
+        v[0] = this.extent[0];
+        v[1] = this.extent[1];
+        v[2] = this.extent[2] + Math.pow(2, this._defExZ - this.extent[14]);
+        v[3] = this.extent[3] + Math.pow(2, this._defExZ - this.extent[15]);
+        
+        return v;
+    };
+    
+//- (NSMutableArray*)   Suggests a map view that frames the layer's data in a viewport of vp_w x vp_h pixels, as [lat, lon, z].
+//                      z is the highest zoom level in minZ...maxZ where the extent fits, measured in pixels of this layer's
+//                      tiles (img_width/img_height).  Returns null if there is no extent yet.
+    LBITS.prototype.GetFitView = function(vp_w, vp_h)
+    {
+        var v = this.GetLayerExtentPx_f64();
+        
+        if (v == null) return null;
+        
+        var ew = v[2] - v[0];
+        var eh = v[3] - v[1];
+        var z  = this.minZ;
+        var sc;
+        
+        for (var i = this.maxZ; i > this.minZ; i--)
+        {
+            sc = Math.pow(2, i - this._defExZ);
+            
+            if (ew * sc <= vp_w && eh * sc <= vp_h)
+            {
+                z = i;
+                break;
+            }//if
+        }//for
+        
+        var ll = new Float64Array(2);
+        
+        this.idx_tile_grid.SetLatLonFromPx_f64(ll, (v[0] + v[2]) * 0.5, (v[1] + v[3]) * 0.5, this._defExZ, this.img_width, this.img_height);
+        
+        if (ll[1] >= 180.0) ll[1] -= 360.0; // center is across the antimeridian
+        
+        return [ll[0], ll[1], z];
+    };
+    
+
+// ******************************************************************************************************
+// LBITS -- Creation -- BIT Creation
+// ******************************************************************************************************
+
+//- (void)
+    LBITS.prototype.AddBitstoreHusk = function(x, y, z)
+    {
+        var bs = new BITS(this.layerId, x, y, z, this.img_width, this.img_height, null, false);
+        this.AddBitstore(bs);
+        bs.needGet = true;
+        bs.getting = false;
+        bs.img_fx_unshadow     = this.img_fx_unshadow;
+        bs.img_fx_unstroke     = this.img_fx_unstroke;
+        bs.img_fx_pipeline     = this.img_fx_pipeline;
+        bs.img_fx_morph        = this.img_fx_morph;
+        bs.img_fx_morph_se     = this.img_fx_morph_se;
+        bs.img_fx_morph_r      = this.img_fx_morph_r;
+        bs.img_px_predicate    = this.img_px_predicate;
+        bs.img_lossy_tol       = this.GetLossyTolerance();
+        bs.img_ch_offset       = this.img_ch_offset;
+        bs.img_alpha_threshold = this.img_alpha_threshold;
+        bs.img_unshd_threshold = this.img_unshd_threshold;
+    };
+
+    
+// ******************************************************************************************************
+// LBITS -- Creation -- BIT Creation -- From Bitmap
+// ******************************************************************************************************
+
+    
+//- (void)            Callback after cache hit
+    LBITS.prototype.AddBitstoreFromBitmapIndex = function(bits, x, y, z, shouldAutoload, shouldUpdateExtent)
+    {
+        if (this.idx_lazyload_detail && !this.idx_lazyload_dim && z > this.minZ)
+        {
+            this.AddBitstoreFromBitmapIndex_WithLazyLoad(bits, x, y, z, shouldUpdateExtent);
+        }//if
+        else
+        {
+            this.AddBitstoreFromBitmapIndex_NoLazyLoad(bits, x, y, z, shouldUpdateExtent);
+        }//else
+        
+        if (z == this.minZ && this._log) console.log("LBITS.AddBitstoreFromRGBA8888: [%d]: Added master bitstore.", this.layerId);
+        
+        this.DetailBitstoreDidFinish(z, shouldAutoload, true);
+
+        if (shouldAutoload)
+        {
+            if (!this.idx_lazyload_detail || this._wantedForceLoad)
+            {
+                if (this._log) console.log("LBITS.AddBitstoreFromBitmapIndex: [%d] Autoloading rest of indices (if needed).", this.layerId);
+                
+                if (this._wantedForceLoad)
+                {
+                    this._didLazyLoad     = true;
+                    this._wantedForceLoad = false;
+                }//if
+                
+                this.AddAllDefaultBitstores();
+            }//if
+            
+            this.isReady = true;
+        }//if
+    };
+    
+//- (void)
+    LBITS.prototype.AddBitstoreFromBitmapIndex_NoLazyLoad = function(bits, x, y, z, shouldUpdateExtent)
+    {
+        var bs = new BITS(this.layerId, x, y, z, this.img_width, this.img_height, bits, true);
+                
+        this.AddBitstore(bs);
+        
+        if (shouldUpdateExtent)
+        {
+            var px_extent = bs.GetPixelExtentFromBitstore();
+            this.UpdateLayerExtentFromBitstorePixelExtent(px_extent);
+        }//if
+        
+        bs.isReady = true;
+    };
+    
+//- (void)
+    LBITS.prototype.AddBitstoreFromBitmapIndex_WithLazyLoad = function(bits, x, y, z, shouldUpdateExtent)
+    {
+        var bs = this.FindBitstoreWithXYZ(x,y,z);
+        
+        if (bs != null && bs.needGet && bs.getting)
+        {
+            bs.needGet = false;
+            bs.getting = false;
+            bs.data    = bits;
+            
+            if (shouldUpdateExtent && z == this.minZ)
+            {
+                var px_extent = bs.GetPixelExtentFromBitstore();
+                this.UpdateLayerExtentFromBitstorePixelExtent(px_extent);
+            }//if
+            
+            bs.isReady = true;
+        }//if
+    };
+    
+    
+    
+
+    
+// ******************************************************************************************************
+// LBITS -- Creation -- BIT Creation -- From RGBA8888
+// ******************************************************************************************************    
+    
+//- (void)           Called after HTTP GET -> PNG -> RGBA8888
+//                   lossy is optional, img_lossy as detected from the master tile's bytes.  It is resolved, and cached, with
+//                   the other auto params, as the RGBA no longer says.  spp is optional, 1 if rgba is Planar8, else 4.
+    LBITS.prototype.AddBitstoreFromRGBA8888 = function(rgba, x, y, z, shouldAutoload, lossy, spp)
+    {    
+        if (spp == null) spp = 4;
+        
+        if (z == this.minZ)
+        {
+            var ap = this.GetAutoParams();
+            
+            if (lossy != null && ap[3] == "auto") ap[3] = lossy;
+            
+            this.SetResolvedAutoParams(BITS.c_ResolveAutoParams(ap, rgba, this.img_ch_offset, this.img_width, this.img_height, spp));
+        }//if
+        
+        if (this.idx_lazyload_detail && !this.idx_lazyload_dim && z > this.minZ)
+        {
+            this.AddBitstoreFromRGBA8888_WithLazyLoad(rgba, x, y, z, spp);
+        }//if
+        else
+        {
+            this.AddBitstoreFromRGBA8888_NoLazyLoad(rgba, x, y, z, spp);
+        }//else
+        
+        if (z == this.minZ && this._log) console.log("LBITS.AddBitstoreFromRGBA8888: [%d]: Added master bitstore.", this.layerId);
+        
+        this.DetailBitstoreDidFinish(z, shouldAutoload, true);
+
+        if (shouldAutoload)
+        {
+            if (!this.idx_lazyload_detail || this._wantedForceLoad)
+            {
+                if (this._log) console.log("LBITS.AddBitstoreFromRGBA8888: [%d] Autoloading rest of indices (if needed).", this.layerId);
+
+                if (this._wantedForceLoad)
+                {
+                    this._didLazyLoad     = true;
+                    this._wantedForceLoad = false;
+                }//if
+
+                this.AddAllDefaultBitstores();
+            }//if
+        
+            this.isReady = true;
+        }//if
+    };
+    
+
+    
+//- (void)
+    LBITS.prototype.AddBitstoreFromRGBA8888_NoLazyLoad = function(rgba, x, y, z, spp)
+    {
+        var bs = new BITS(this.layerId, x, y, z, this.img_width, this.img_height, null, false);
+        this.AddBitstore(bs);
+        bs.isReady = true;        
+        
+        bs.SetBitmapFromRGBA8888Tile(rgba, this.img_fx_pipeline, this.img_ch_offset, this.img_alpha_threshold, this.img_unshd_threshold, this.img_fx_morph, this.img_fx_morph_se, this.img_fx_morph_r, this.img_px_predicate, this.GetLossyTolerance(), spp);
+            
+        var px_extent = bs.GetPixelExtentFromBitstore();
+        this.UpdateLayerExtentFromBitstorePixelExtent(px_extent);
+        
+        this.AddBitstoreToLocalCache(bs);
+    };
+    
+    
+//- (void)
+    LBITS.prototype.AddBitstoreFromRGBA8888_WithLazyLoad = function(rgba, x, y, z, spp)
+    {
+        var bs = this.FindBitstoreWithXYZ(x,y,z);
+        
+        if (bs != null && bs.needGet && bs.getting)
+        {
+            bs.needGet  = false;
+            bs.getting  = false;
+            bs.isReady  = true;
+            bs.tempData = rgba;
+            bs.tempSpp  = spp;
+            bs.needProc = true; 
+        }//if
+        else
+        {
+            if (this._log) console.log("LBITS.AddBitstoreFromRGBA8888: [%d] ERR: couldn't match lazyload (%d, %d) @ %d", this.layerId, x, y, z);
+        }//else
+    };
+    
+    
+    
+    
+    
+// ******************************************************************************************************
+// LBITS -- Creation -- Pyramid
+// ******************************************************************************************************
+
+    // A single index tile is only exact for 8 more zoom levels (256x256), and the master tile's alpha channel may be
+    // rendered with artifacts at low zoom levels.  Building parents by OR-reducing four children instead merges the
+    // loaded detail indices into one coherent pyramid, and gives a more accurate master.
+
+//- (void)  Called when any index finishes loading, whether it was added (ok) or failed.  Only detail indices from
+//          AddAllDefaultBitstores (!shouldAutoload, z > minZ) are counted.  After the last one, builds the pyramid from
+//          whatever did load.
+    LBITS.prototype.DetailBitstoreDidFinish = function(z, shouldAutoload, ok)
+    {
+        if (shouldAutoload || z <= this.minZ || this._detail_pending_n == 0) return;
+        
+        this._detail_pending_n--;
+        
+        if (!ok) this._detail_failed_n++;
+        
+        if (this._detail_pending_n == 0 && this.idx_pyramid_enable)
+        {
+            if (this._detail_failed_n > 0 && this._log) console.log("LBITS.DetailBitstoreDidFinish: [%d] %d detail indices failed to load.  Building pyramid without them.", this.layerId, this._detail_failed_n);
+            
+            this.BuildPyramid();
+        }//if
+    };
+
+//- (size_t)    Builds parent indices from all ready BITS, level by level, from the highest zoom level down to the master at minZ.
+//              The parents in between only feed the next level down.  Of them, only indices which are loaded anyway (the master,
+//              and any detail index at the same x/y/z) replace the existing ones and are cached, so the pyramid takes no more
+//              memory, storage or idx_max_bitmap_n than before.  Returns the number of indices that changed.
+    LBITS.prototype.BuildPyramid = function()
+    {
+        var i,j,z,bs,key,parents,built = new Object(),next,max_z = this.minZ,changed_n = 0;
+        
+        for (i=0; i<this.bitstores.length; i++)
+        {
+            bs = this.bitstores[i];
+            if (bs.isReady && !bs.needGet && bs.data != null && bs.z > max_z) max_z = bs.z;
+        }//for
+        
+        for (z = max_z; z > this.minZ; z--)
+        {
+            parents = new Object(); // distinct parent x/y @ z-1
+            
+            for (i=0; i<this.bitstores.length; i++)
+            {
+                bs = this.bitstores[i];
+                
+                if (bs.z == z && bs.isReady && !bs.needGet && bs.data != null)
+                {
+                    parents[(bs.x >>> 1) + "_" + (bs.y >>> 1)] = [bs.x >>> 1, bs.y >>> 1];
+                }//if
+            }//for
+            
+            for (key in built)
+            {
+                bs = built[key];
+                parents[(bs.x >>> 1) + "_" + (bs.y >>> 1)] = [bs.x >>> 1, bs.y >>> 1];
+            }//for
+            
+            next = new Object();
+            
+            for (key in parents)
+            {
+                bs        = this.NewParentBitstore(parents[key][0], parents[key][1], z - 1, built);
+                next[key] = bs;
+                
+                if (   (z - 1 == this.minZ || this.FindBitstoreWithXYZ(bs.x, bs.y, bs.z) != null)
+                    && this.SetPyramidBitstore(bs)) changed_n++;
+            }//for
+            
+            built = next;
+        }//for
+        
+        if (this._log) console.log("LBITS.BuildPyramid: [%d] Built pyramid from z=%d to z=%d, %d indices changed.", this.layerId, max_z, this.minZ, changed_n);
+        
+        return changed_n;
+    };
+
+//- (BITS*)     New BITS for tile x/y @ z, OR-reduced from its four children @ z+1.
+//              Quadrants without a ready child keep the data of the best existing index for the tile instead.
+//              built is optional, parents already built @ z+1 by key "x_y", which are used in place of the loaded children.
+    LBITS.prototype.NewParentBitstore = function(x, y, z, built)
+    {
+        var w    = this.img_width;
+        var h    = this.img_height;
+        var bs_n = this._bsqt.Query(x, y, z);
+        var base = null;
+        var i,bs,child,qx,qy;
+        
+        // 1. Start with the best existing index: this tile's, or the deepest ancestor's reprojected into it
+        for (i=bs_n-1; i>=0 && base == null; i--)
+        {
+            bs = this._bsqt.buf[i];
+            
+            if (bs.isReady && !bs.needGet && bs.data != null)
+            {
+                base = bs.z == z ? new Uint16Array(bs.data) : bs.GetReprojectedBitmap(x, y, z);
+            }//if
+        }//for
+        
+        if (base == null) // nothing known, so everything is data
+        {
+            base = new Uint16Array(BITS.c_GetCellCount(w, h));
+            for (i=0; i<base.length; i++) base[i] = 0xFFFF;
+            BITS.c_ClearPadding_u16(base, w, h);
+        }//if
+        
+        // 2. Replace each quadrant that has a child.  With an odd width/height, the middle column/row is shared by two
+        //    quadrants, and is never cleared.
+        for (i=0; i<4; i++)
+        {
+            qx    = i & 1;
+            qy    = i >>> 1;
+            child = built != null ? built[((x << 1) + qx) + "_" + ((y << 1) + qy)] : null;
+            
+            if (child == null) child = this._bsqt.Find((x << 1) + qx, (y << 1) + qy, z + 1);
+            
+            if (child != null && child.isReady && !child.needGet && child.data != null)
+            {
+                if (child.needProc) child.FinishLazyLoad();
+                
+                BITS.c_ClearPixelRect_u16(base, qx == 0 ? 0 : (w + 1) >>> 1, qy == 0 ? 0 : (h + 1) >>> 1,
+                                                qx == 0 ? (w >>> 1) - 1 : w - 1, qy == 0 ? (h >>> 1) - 1 : h - 1, w, h);
+                BITS.c_BitwiseOp_u16(base, base, child.GetReprojectedBitmap(x, y, z), BITS.OP_OR);
+            }//if
+        }//for
+        
+        return new BITS(this.layerId, x, y, z, w, h, base, true);
+    };
+    
+//- (bool)      Adds or replaces the BITS at bs' x/y/z with bs, and caches it.  Returns false if there was no change.
+    LBITS.prototype.SetPyramidBitstore = function(bs)
+    {
+        var old = this.FindBitstoreWithXYZ(bs.x, bs.y, bs.z);
+        
+        if (old != null && old.data != null && !old.needProc && old.Equals(bs)) return false;
+        
+        this.AddBitstore(bs);
+        this.AddBitstoreToLocalCache(bs);
+        
+        return true;
+    };
+    
+    
+    
+// ******************************************************************************************************
+// LBITS -- Creation -- "Queries"
+// ******************************************************************************************************
+    
+    
+    
+//- (void)            Do not use until z=0 bitstore is ready.
+    LBITS.prototype.AddAllDefaultBitstores = function()
+    {
+        var sr = this.FindOptimalSingleIndex();
+        
+        if (sr != null && (sr[3] == 1 || this.idx_max_bitmap_n == 1))
+        {
+            this._hasCompleteSingleIndex = sr[3] == 1;
+            
+            if (sr[2] != 0)
+            {
+                if (this.idx_lazyload_detail && !this.idx_lazyload_dim) this.AddBitstoreHusk(sr[0], sr[1], sr[2]);
+                else
+                {
+                    this._detail_pending_n = 1;
+                    this.GetAsync_Any(sr[0], sr[1], sr[2], false);
+                }//else
+            }//if
         }//if
         else
         {
@@ -1097,6 +2753,12 @@ var LBITS = (function()
             if (multiResults != null && multiResults.length > 2 && multiResults[0] != null && multiResults[1] != null)
             {
                 var mxs = multiResults[0], mys = multiResults[1], mz = multiResults[2];
+                
+                if (!this.idx_lazyload_detail || this.idx_lazyload_dim)
+                {
+                    // set before dispatching; cache hits can complete synchronously
+                    for (var k=0; k<mxs.length; k++) if (mxs[k] != 0xFFFFFFFF) this._detail_pending_n++;
+                }//if
             
                 for (var i=0; i<mxs.length; i=(i+1)|0)
                 {
@@ -1131,7 +2793,7 @@ var LBITS = (function()
             if (bs != null)
             {
                 px_extent = bs.GetPixelExtentFromBitstore();
-                BITS.c_vPixelExtentToMercExtent_u32(px_extent, this.img_width, this.img_height); // use actual pixel extent instead of gross tile extent
+                BITS.c_vPixelExtentToMercExtent_u32(px_extent, this.img_width, this.img_height, this._defExZ); // use actual pixel extent instead of gross tile extent
             }//if
 
             //newZ        = this.maxZ - 8;
@@ -1147,13 +2809,14 @@ var LBITS = (function()
             {
                 px0 = BITS.c_MercXZtoMercXZ(px_extent[0], px_extent[4], i);
                 py0 = BITS.c_MercXZtoMercXZ(px_extent[1], px_extent[4], i);
-                px1 = BITS.c_MercXZtoMercXZ(px_extent[2], px_extent[4], i);
-                py1 = BITS.c_MercXZtoMercXZ(px_extent[3], px_extent[4], i);
+                px1 = BITS.c_MercXZtoMercXZ(px_extent[2] + Math.pow(2, px_extent[4] - px_extent[5]) - 1, px_extent[4], i); // far edge of the last pixel
+                py1 = BITS.c_MercXZtoMercXZ(px_extent[3] + Math.pow(2, px_extent[4] - px_extent[5]) - 1, px_extent[4], i);
                                 
-                if (px1 - px0 < this.img_width && py1 - py0 < this.img_height)
+                if (   Math.floor(px0 / this.img_width)  == Math.floor(px1 / this.img_width)
+                    && Math.floor(py0 / this.img_height) == Math.floor(py1 / this.img_height))
                 {
-                    _xOut       = px0 / this.img_width;
-                    _yOut       = py0 / this.img_height;
+                    _xOut       = Math.floor(px0 / this.img_width);
+                    _yOut       = Math.floor(py0 / this.img_height);
                     _zOut       = i;
                     _isComplete = this.maxZ - i <= max_single_index_z;
                     break;
@@ -1165,8 +2828,8 @@ var LBITS = (function()
                     if (diff < bestDiff)
                     {
                         bestDiff = diff;
-                        _xOut    = px0 / this.img_width;
-                        _yOut    = py0 / this.img_height;
+                        _xOut    = Math.floor(px0 / this.img_width);
+                        _yOut    = Math.floor(py0 / this.img_height);
                         _zOut    = i;
                     }//if
                 }//else
@@ -1315,11 +2978,11 @@ var LBITS = (function()
 
         if (this._log) console.log("LBITS.SelectDistinctTXYforPXY: [%d] pxy@%d is txy@%d.  Need txy @ %d.  So must >>= %d.  Reprojecting...", this.layerId, this.minZ, this.minZ+max_single_index_z, destZ, shrn);
 
-        // translate coordinates
+        // translate coordinates.  Tiles need not be a power of 2 wide, so reproject to pixels @ destZ and divide.
         for (i=0; i<pxs.length; i++)
         {
-            txs[i] = (originpx + pxs[i]) >>> shrn; 
-            tys[i] = (originpy + pys[i]) >>> shrn;
+            txs[i] = Math.floor(BITS.c_MercXZtoMercXZ(originpx + pxs[i], this.minZ, destZ) / this.img_width);
+            tys[i] = Math.floor(BITS.c_MercXZtoMercXZ(originpy + pys[i], this.minZ, destZ) / this.img_height);
         }//for
         
         // count distinct, overwrite dupes with UINT32_MAX
@@ -1358,17 +3021,56 @@ var LBITS = (function()
 // ******************************************************************************************************
 
     
-//- (const char*)
+//- (const char*)     urlTemplate placeholders: {x}, {y}, {z}, {-y} (TMS row, counted from the bottom), {q} (Bing-style quadkey)
+//                    and {s} (one of net_url_subdomains, picked by tile so each tile always uses the same one).
+//                    urlTemplate can instead be a function(x, y, z) that returns the URL.
     LBITS.prototype.GetTileURL = function(x, y, z)
     {
-        var urlCopy = "" + this.urlTemplate;
-            urlCopy = urlCopy.replace(/{x}/g, ""+x);
-            urlCopy = urlCopy.replace(/{y}/g, ""+y);
-            urlCopy = urlCopy.replace(/{z}/g, ""+z);
-               
-        return this.net_url_append_enable ? urlCopy + this._url_cache_append : urlCopy;
+        var urlCopy;
+        
+        if (typeof this.urlTemplate == "function")
+        {
+            urlCopy = "" + this.urlTemplate(x, y, z);
+        }//if
+        else
+        {
+            var sd  = this.net_url_subdomains;
+            
+            urlCopy = "" + this.urlTemplate;
+            urlCopy = urlCopy.replace(/{x}/g,  ""+x);
+            urlCopy = urlCopy.replace(/{y}/g,  ""+y);
+            urlCopy = urlCopy.replace(/{-y}/g, ""+(this.idx_tile_grid.GetWorldSizeTilesY(z) - 1 - y));
+            urlCopy = urlCopy.replace(/{z}/g,  ""+z);
+            urlCopy = urlCopy.replace(/{q}/g,  LBITS.c_GetQuadkey(x, y, z));
+            
+            if (sd != null && sd.length > 0) urlCopy = urlCopy.replace(/{s}/g, ""+sd[(x + y) % sd.length]);
+        }//else
+        
+        if (this.net_url_append_enable)
+        {
+            urlCopy += urlCopy.indexOf("?") >= 0 ? "&" + this._url_cache_append.substring(1) : this._url_cache_append;
+        }//if
+        
+        return urlCopy;
     };//GetTileURL
     
+//+ (const char*)     Bing Maps quadkey for tile x/y @ z.  https://msdn.microsoft.com/en-us/library/bb259689.aspx
+    LBITS.c_GetQuadkey = function(x, y, z)
+    {
+        var q = "";
+        var d,m;
+        
+        for (var i = z; i > 0; i--)
+        {
+            m  = 1 << (i - 1);
+            d  = (x & m) != 0 ? 1 : 0;
+            d += (y & m) != 0 ? 2 : 0;
+            q += d;
+        }//for
+        
+        return q;
+    };
+    
     
 //- (const char*)
     LBITS.prototype.GetStorageKey = function(x, y, z) 
@@ -1390,6 +3092,12 @@ var LBITS = (function()
             var ck = this.GetStorageKey(x, y, z);
             cache  = this.net_multithreading ? localStorage.getItem(ck) : this.StorageGet(ck);
             
+            if (cache != null && z == this.minZ && !this.GetAutoParamsFromLocalCache())
+            {
+                if (this._log) console.log("LBITS.GetAsync_Any: [%d] Cached master index has no auto params.  Refetching.", this.layerId);
+                cache = null;
+            }//if
+            
             if (cache != null)
             {
                 if (this.net_multithreading)
@@ -1414,18 +3122,16 @@ var LBITS = (function()
         {
             var url = this.GetTileURL(x, y, z);
             
-            if (!this.img_io_canvas_enable)
+            if (this.net_multithreading)
             {
-                if (this.net_multithreading)
-                {
-                    var op = this.net_cache_enable ? "GET_BITS_IV_E" : "GET_BITS";
-                    this.WorkerDispatchAsync(op, url, [x, y, z, shouldAutoload, this.img_fx_unshadow, this.img_fx_unstroke, this.img_ch_offset, this.img_alpha_threshold, this.img_unshd_threshold, this.img_width, this.img_height]);
-                }//if
-                else
-                {
-                    this.AddAsync_PNG_URL_libpng(url, x, y, z, shouldAutoload);
-                }//else
+                var op  = this.net_cache_enable ? "GET_BITS_IV_E" : "GET_BITS";
+                var dec = this.img_io_canvas_enable ? "bitmap" : "auto"; // Canvas mode uses createImageBitmap / OffscreenCanvas in the worker
+                this.WorkerDispatchAsync(op, url, [x, y, z, shouldAutoload, this.img_fx_pipeline, this.img_ch_offset, this.img_alpha_threshold, this.img_unshd_threshold, this.img_width, this.img_height, this.img_fx_morph, this.img_fx_morph_se, this.img_fx_morph_r, this.img_px_predicate, dec, this.GetLossyTolerance()]);
             }//if
+            else if (!this.img_io_canvas_enable)
+            {
+                this.AddAsync_PNG_URL_libpng(url, x, y, z, shouldAutoload);
+            }//else if
             else
             {
                 this.AddAsync_PNG_ImgURL_Canvas(url, x, y, z, shouldAutoload);
@@ -1439,39 +3145,76 @@ var LBITS = (function()
 // LBITS -- Net / IO -- GET -> Add BIT
 // ******************************************************************************************************
 
-//- (void)      HTTP GET a PNG, then create BIT.  Uses and requires png.js and zlib.js.  Fastest method possible, works with CORS seamelessly.
+//- (void)      HTTP GET a tile, then create BIT.  PNGs use the built-in PNG decoder, other formats createImageBitmap (or Canvas if not present).
+//              Fastest method possible, works with CORS seamelessly.
     LBITS.prototype.AddAsync_PNG_URL_libpng = function(url, x, y, z, shouldAutoload)
     {
-        var cubbyLlama = function(response, userData)
+        var lossy = null; // detected from the master tile's bytes, if img_lossy is "auto"
+        
+        var decodeLlama = function(rgba, spp)
         {
-            var rgba = LBITS.GetNewRGBA8888_FromPNG_libpng(response);
-            
-            var     rgba_bytes = rgba.length; // 2015-08-24 ND: verify tile size is as expected
-            var expected_bytes = this.img_width * this.img_height * 4;
+            var     rgba_bytes = rgba != null ? rgba.length : 0; // 2015-08-24 ND: verify tile size is as expected
+            var expected_bytes = this.img_width * this.img_height * spp;
                 
-            if (rgba_bytes != expected_bytes)
+            if (!BITS.c_IsTileSize(rgba, spp, this.img_width, this.img_height))
             {
                 if (this._log) console.log("LBITS.AddAsync_PNG_URL_libpng: [%d] ERR: RGBA bytes=%d, expected=%d.  Rejecting.", this.layerId, rgba_bytes, expected_bytes);
+                this.DetailBitstoreDidFinish(z, shouldAutoload, false);
+            }//if
+            else
+            {
+                this.AddBitstoreFromRGBA8888(rgba, x, y, z, shouldAutoload, lossy, spp);
+            }//else
+        }.bind(this);
+        
+        var cubbyLlama = function(response, userData)
+        {
+            var buf = response != null ? new Uint8Array(response) : null;
+            var fmt = buf != null ? LBITS.c_GetImageFormat(buf) : null;
+            
+            if (buf != null && z == this.minZ && this.img_lossy == "auto")
+            {
+                lossy = LBITS.c_IsLossyImage(buf);
+            }//if
+            
+            if (fmt != null && fmt != "png" && !LBITS.HasImageBitmapDecode())
+            {
+                this.AddAsync_PNG_ImgURL_Canvas(URL.createObjectURL(new Blob([response])), x, y, z, shouldAutoload, lossy); // decode what the browser can
             }//if
             else
             {
-                this.AddBitstoreFromRGBA8888(rgba, x, y, z, shouldAutoload);
+                LBITS.GetNewRGBA8888_FromResponseAsync(response, "auto", this.img_width, this.img_height, decodeLlama, this.GetDecodeChannel());
             }//else
         }.bind(this);
         
-        LBITS.GetAsync_HTTP(url, "arraybuffer", null, cubbyLlama, null);
+        var errorLlama = function(status, userData)
+        {
+            if (this._log) console.log("LBITS.AddAsync_PNG_URL_libpng: [%d] ERR: HTTP %d for (%d, %d) @ %d.", this.layerId, status, x, y, z);
+            this.DetailBitstoreDidFinish(z, shouldAutoload, false);
+        }.bind(this);
+        
+        LBITS.GetAsync_HTTP(url, "arraybuffer", null, cubbyLlama, null, errorLlama);
     };
 
-    LBITS.prototype.AddAsync_PNG_ImgURL_Canvas = function(url, x, y, z, shouldAutoload)
+//- (void)      lossy is optional, img_lossy for the master tile if already known from its bytes.
+    LBITS.prototype.AddAsync_PNG_ImgURL_Canvas = function(url, x, y, z, shouldAutoload, lossy)
     {
         var img = new Image();
         
         img.onload  = function() 
         {
-            var fail = img.width != this.img_width;//"naturalWidth" in img ? img.naturalwidth != this.img_width : img.width != this.img_width;
+            var fail = img.width != this.img_width || img.height != this.img_height;//"naturalWidth" in img ? img.naturalwidth != this.img_width : img.width != this.img_width;
+            
+            if (url.substring(0, 5) == "blob:") URL.revokeObjectURL(url);
             
             if (!fail)
             {
+                if (z == this.minZ && this.img_lossy == "auto" && lossy == null)
+                {
+                    if (this._log) console.log("LBITS.AddAsync_PNG_ImgURL_Canvas: [%d] Can't tell if lossy from Canvas.  Assuming not; set img_format or img_lossy if it is.", this.layerId);
+                    lossy = false;
+                }//if
+                
                 var cvs = document.createElement("canvas");
                 var ctx = cvs.getContext("2d");
             
@@ -1480,15 +3223,24 @@ var LBITS = (function()
                 ctx.drawImage(img, 0, 0);
                 var buf = ctx.getImageData(0, 0, cvs.width, cvs.height);
                             
-                this.AddBitstoreFromRGBA8888(buf.data, x, y, z, shouldAutoload);
+                this.AddBitstoreFromRGBA8888(buf.data, x, y, z, shouldAutoload, lossy);
             }//if
             else
             {
                 var tmp_width = "naturalWidth" in img ? img.naturalwidth : img.width;
-                if (this._log) console.log("LBITS.AddAsync_PNG_ImgURL_Canvas: [%d]: ERR: Width=%d, expected %d. (nw=%d, w=%d)", this.layerId, tmp_width, this.img_width, img.naturalWidth, img.width);
+                if (this._log) console.log("LBITS.AddAsync_PNG_ImgURL_Canvas: [%d]: ERR: Width=%d, expected %d x %d. (nw=%d, w=%d, h=%d)", this.layerId, tmp_width, this.img_width, this.img_height, img.naturalWidth, img.width, img.height);
+                this.DetailBitstoreDidFinish(z, shouldAutoload, false);
             }//else
         }.bind(this);
         
+        img.onerror = function()
+        {
+            if (url.substring(0, 5) == "blob:") URL.revokeObjectURL(url);
+            
+            if (this._log) console.log("LBITS.AddAsync_PNG_ImgURL_Canvas: [%d]: ERR: Could not load (%d, %d) @ %d.", this.layerId, x, y, z);
+            this.DetailBitstoreDidFinish(z, shouldAutoload, false);
+        }.bind(this);
+        
         img.crossOrigin = "Anonymous";
         img.src = url;
     };
@@ -1549,10 +3301,12 @@ var LBITS = (function()
         return src != null && src.length >= 10 && src.substring(0, 4) == "BSV3" ? src.substring(8, src.length) : src;
     };
     
+    // Header byte 6 is the cell layout.  0: any partial edge cells were dropped.  1: partial edge cells are padded with 0 bits.
+    // Both are identical unless w or h is not a multiple of 4.
     LBITS.StorageStreamDescriptorCreate = function(w, h)
     {
         var hdr = "BSV3" + String.fromCharCode(w) + String.fromCharCode(h)
-                         + String.fromCharCode(0) + String.fromCharCode(0);
+                         + String.fromCharCode(1) + String.fromCharCode(0);
         return hdr;
     };
 
@@ -1572,8 +3326,9 @@ var LBITS = (function()
             {
                 var hdr_w = src.charCodeAt(4);
                 var hdr_h = src.charCodeAt(5);
+                var hdr_l = src.charCodeAt(6);
                 
-                match = w == hdr_w && h == hdr_h;
+                match = w == hdr_w && h == hdr_h && (hdr_l == 1 || ((w | h) & 3) == 0);
             }//if
             else if (w != 256 || h != 256) // no header, assume headerless V2 format, 256x256 only
             {
@@ -1598,22 +3353,97 @@ var LBITS = (function()
 //- (uint16_t*)
     LBITS.prototype.StorageGet = function(key_iv) 
     {
-        var    item  = !this.net_cache_enable ? null : localStorage.getItem(key_iv);
-        return LBITS.StorageStreamDescriptorGetAndDecodeIfVerified(item, this.img_width, this.img_height);
+        var    item  = !this.net_cache_enable ? null : localStorage.getItem(key_iv);
+        return LBITS.StorageStreamDescriptorGetAndDecodeIfVerified(item, this.img_width, this.img_height);
+    };
+    
+//- (void)
+    LBITS.prototype.AddBitstoreToLocalCache = function(bs)
+    {
+        if (bs != null && this.net_cache_enable)
+        {
+            var ivs = bs.DecomposeIndexIntoIV();
+            if (this._log) console.log("LBITS.AddBitstoreToLocalCache: [%d] Setting cache: (%d, %d) @ %d.... %d len and %d len", this.layerId, bs.x, bs.y, bs.z, ivs != null ? ivs[0].length : -1, ivs != null ? ivs[1].length : -1);
+            if (ivs != null)
+            {
+                this.StorageSet(this.GetStorageKey(bs.x, bs.y, bs.z), ivs[0], ivs[1]);
+            }//if
+        }//if
+    };
+    
+//- (const char*)   Params resolved from the master tile, eg "auto" thresholds or key color, are stored alongside the indices.
+    LBITS.prototype.GetAutoParamsStorageKey = function()
+    {
+        return "bs_iv_vec_" + this.lastModifiedUnix + "_" + this.layerId + "_auto_utf16.txt";
+    };
+    
+//- (void)
+    LBITS.prototype.AddAutoParamsToLocalCache = function()
+    {
+        if (!this.net_cache_enable) return;
+        
+        localStorage.setItem(this.GetAutoParamsStorageKey(), JSON.stringify({ ap:this.GetAutoParams() }));
+    };
+    
+//- (bool)      Restores cached auto params.  Returns false if they were needed but not found.
+    LBITS.prototype.GetAutoParamsFromLocalCache = function()
+    {
+        if (BITS.c_IsAutoParamsResolved(this.GetAutoParams())) return true;
+        
+        var src = this.net_cache_enable ? localStorage.getItem(this.GetAutoParamsStorageKey()) : null;
+        var c   = src != null ? JSON.parse(src) : null;
+        
+        if (c != null && c.ap != null && BITS.c_IsAutoParamsResolved(c.ap))
+        {
+            this.SetAutoParams(c.ap);
+        }//if
+        
+        return BITS.c_IsAutoParamsResolved(this.GetAutoParams());
+    };
+    
+//- (void)      Adopts params resolved from the master tile, if still needed.
+    LBITS.prototype.SetResolvedAutoParams = function(ap)
+    {
+        if (!BITS.c_IsAutoParamsResolved(this.GetAutoParams()) && BITS.c_IsAutoParamsResolved(ap))
+        {
+            this.SetAutoParams(ap);
+            
+            if (this._log)
+            {
+                if (ap[0] != null && ap[0].rgb != null) console.log("LBITS.SetResolvedAutoParams: [%d] Detected key color: (%d, %d, %d)", this.layerId, ap[0].rgb[0], ap[0].rgb[1], ap[0].rgb[2]);
+                console.log("LBITS.SetResolvedAutoParams: [%d] img_alpha_threshold=%d, img_unshd_threshold=%d, img_lossy=%s", this.layerId, ap[1], ap[2], ap[3]);
+            }//if
+            
+            this.AddAutoParamsToLocalCache();
+        }//if
+    };
+    
+//- (NSArray*)  [img_px_predicate, img_alpha_threshold, img_unshd_threshold, img_lossy], any of which may be "auto" until the master tile is seen.
+    LBITS.prototype.GetAutoParams = function()
+    {
+        return [this.img_px_predicate, this.img_alpha_threshold, this.img_unshd_threshold, this.img_lossy];
+    };
+    
+//- (void)
+    LBITS.prototype.SetAutoParams = function(ap)
+    {
+        this.img_px_predicate    = ap[0];
+        this.img_alpha_threshold = ap[1];
+        this.img_unshd_threshold = ap[2];
+        
+        if (ap.length > 3) this.img_lossy = ap[3];
+    };
+    
+//- (NSArray*)  [img_lossy, img_lossy_min_alpha, img_lossy_margin], for BITS.GetBitmapFromRGBA8888Tile.  img_lossy may still be "auto".
+    LBITS.prototype.GetLossyTolerance = function()
+    {
+        return [this.img_lossy, this.img_lossy_min_alpha, this.img_lossy_margin];
     };
     
-//- (void)
-    LBITS.prototype.AddBitstoreToLocalCache = function(bs)
+//- (int)       Channel PNG tiles are decoded to as Planar8, or -1 for RGBA8888.  See BITS.c_GetDecodeChannel.
+    LBITS.prototype.GetDecodeChannel = function()
     {
-        if (bs != null && this.net_cache_enable)
-        {
-            var ivs = bs.DecomposeIndexIntoIV();
-            if (this._log) console.log("LBITS.AddBitstoreToLocalCache: [%d] Setting cache: (%d, %d) @ %d.... %d len and %d len", this.layerId, bs.x, bs.y, bs.z, ivs != null ? ivs[0].length : -1, ivs != null ? ivs[1].length : -1);
-            if (ivs != null)
-            {
-                this.StorageSet(this.GetStorageKey(bs.x, bs.y, bs.z), ivs[0], ivs[1]);
-            }//if
-        }//if
+        return BITS.c_GetDecodeChannel(this.img_fx_pipeline, this.img_ch_offset, this.img_unshd_threshold, this.img_px_predicate);
     };
     
 //- (void)
@@ -1662,7 +3492,8 @@ var LBITS = (function()
 // ******************************************************************************************************
 
 //+ (void)      Generic HTTP GET wrapper.  Use null to specify header or response GET.  Invokes fxCallback(response, userData) upon success.
-    LBITS.GetAsync_HTTP = function(url, responseType, responseHeader, fxCallback, userData)
+//              fxError is optional, and invoked as fxError(status, userData) otherwise, eg for a 404 or network error (status 0).
+    LBITS.GetAsync_HTTP = function(url, responseType, responseHeader, fxCallback, userData, fxError)
     {
         var req = new XMLHttpRequest();
         req.open("GET", url, true);
@@ -1679,34 +3510,643 @@ var LBITS = (function()
             }//else
         }//if
         
-        req.onreadystatechange = function () // why was this ==== ?
+        req.onreadystatechange = function () // why was this ==== ?
+        {
+            if (req.readyState === 4 && req.status == 200 && req.response != null)
+            {
+                if (responseHeader != null)
+                {
+                    fxCallback(req.getResponseHeader(responseHeader), userData);
+                }//if
+                else
+                {
+                    fxCallback(req.response, userData);
+                }//else
+            }//if
+            else if (req.readyState === 4 && fxError != null)
+            {
+                fxError(req.status, userData);
+            }//else if
+        };
+        
+        req.send(null);
+    };
+    
+    
+// ******************************************************************************************************
+// LBITS -- Class (Static) Methods -- PNG Decoding
+// ******************************************************************************************************
+
+    // Built-in PNG decoder, replacing png.js / zlib.js.  Handles all color types and bit depths (1, 2, 4, 8, 16),
+    // palette and tRNS transparency, and Adam7 interlacing.  Output is RGBA8888, or just the one channel indexing thresholds
+    // (Planar8, 1 byte per pixel) when there is nothing that needs RGB; see BITS.c_GetDecodeChannel.  16-bit samples use the high byte.
+    // Inflate uses DecompressionStream where available, otherwise LBITS.c_Inflate.
+    
+//+ (uint8_t*)  Deprecated: was the png.js decoder.  Synchronous RGBA8888 from the built-in decoder, always using LBITS.c_Inflate.
+    LBITS.GetNewRGBA8888_FromPNG_libpng = function(srcArrayBuffer)
+    {
+        var png = srcArrayBuffer != null ? LBITS.c_PNGParse(new Uint8Array(srcArrayBuffer)) : null;
+        var raw = png != null ? LBITS.c_Inflate(png.idat, LBITS.c_PNGGetRawSize(png)) : null;
+        
+        return raw != null ? LBITS.c_PNGGetNewRGBA8888(png, raw, -1) : null;
+    };
+    
+//+ (void)      Decodes PNG srcArrayBuffer, then calls fxCallback(rgba, spp).  rgba is null if the PNG could not be decoded,
+//              or was not w x h if those are given.  If ch_offset >= 0, rgba is only that channel, as Planar8, and spp is 1; else 4.
+    LBITS.GetNewRGBA8888_FromPNGAsync = function(srcArrayBuffer, fxCallback, ch_offset, w, h)
+    {
+        var png = srcArrayBuffer != null ? LBITS.c_PNGParse(new Uint8Array(srcArrayBuffer)) : null;
+        var ch  = ch_offset != null ? ch_offset : -1;
+        var spp = ch >= 0 ? 1 : 4;
+        
+        if (png == null || (w != null && (png.w != w || png.h != h)))
+        {
+            fxCallback(null, spp);
+            return;
+        }//if
+        
+        var cubbyLlama = function(raw)
+        {
+            fxCallback(raw != null ? LBITS.c_PNGGetNewRGBA8888(png, raw, ch) : null, spp);
+        };
+        
+        LBITS.c_InflateAsync(png.idat, LBITS.c_PNGGetRawSize(png), cubbyLlama);
+    };
+    
+//+ (void)      Decodes w x h image srcArrayBuffer, then calls fxCallback(rgba, spp).  decoder "bitmap" always uses createImageBitmap.
+//              "auto" routes by the format of the bytes: PNG to the built-in decoder, anything else to createImageBitmap.
+//              ch_offset is optional; if >= 0, PNGs decode to only that channel (Planar8, spp 1).  createImageBitmap is always RGBA8888 (spp 4).
+    LBITS.GetNewRGBA8888_FromResponseAsync = function(srcArrayBuffer, decoder, w, h, fxCallback, ch_offset)
+    {
+        var fmt = srcArrayBuffer != null ? LBITS.c_GetImageFormat(new Uint8Array(srcArrayBuffer)) : null;
+        
+        if (decoder == "bitmap" || (fmt != "png" && fmt != null && LBITS.HasImageBitmapDecode()))
+        {
+            LBITS.GetNewRGBA8888_FromImageBitmapAsync(srcArrayBuffer, w, h, fxCallback);
+        }//if
+        else if (fmt == "png")
+        {
+            LBITS.GetNewRGBA8888_FromPNGAsync(srcArrayBuffer, fxCallback, ch_offset, w, h);
+        }//else if
+        else
+        {
+            fxCallback(null, 4);
+        }//else
+    };
+    
+//+ (char*)     Image format from magic bytes: "png", "jpeg", "webp", "avif", "gif", or null if unknown.
+    LBITS.c_GetImageFormat = function(buf)
+    {
+        var fmt = null;
+        var tag = function(o) { return buf.length >= o + 4 ? String.fromCharCode(buf[o], buf[o+1], buf[o+2], buf[o+3]) : ""; };
+        
+             if (buf.length >= 4 && buf[0] == 0x89 && tag(1).substring(0, 3) == "PNG") fmt = "png";
+        else if (buf.length >= 3 && buf[0] == 0xFF && buf[1] == 0xD8 && buf[2] == 0xFF) fmt = "jpeg";
+        else if (tag(0) == "RIFF" && tag(8) == "WEBP")                                  fmt = "webp";
+        else if (tag(4) == "ftyp" && (tag(8) == "avif" || tag(8) == "avis"))            fmt = "avif";
+        else if (tag(0) == "GIF8")                                                      fmt = "gif";
+        
+        return fmt;
+    };
+    
+//+ (char*)     Image format from the extension of url (ignoring any query string), or null.
+    LBITS.c_GetImageFormatFromURL = function(url)
+    {
+        if (url == null || typeof url != "string") return null;
+        
+        var path = url.split("?")[0].split("#")[0].toLowerCase();
+        var ext  = path.substring(path.lastIndexOf(".") + 1);
+        
+        return ext == "png" ? "png" : ext == "jpg" || ext == "jpeg" ? "jpeg" : ext == "webp" ? "webp" : ext == "avif" ? "avif" : ext == "gif" ? "gif" : null;
+    };
+    
+//+ (bool)      For a format hint.  WebP can be either, so it is false here; use c_IsLossyImage on the bytes.
+    LBITS.c_IsLossyImageFormat = function(fmt)
+    {
+        return fmt == "jpeg" || fmt == "avif";
+    };
+    
+//+ (bool)      True for JPEG, AVIF and lossy WebP (a "VP8 " chunk, rather than only "VP8L").
+    LBITS.c_IsLossyImage = function(buf)
+    {
+        var fmt   = LBITS.c_GetImageFormat(buf);
+        var lossy = LBITS.c_IsLossyImageFormat(fmt);
+        
+        if (fmt == "webp")
+        {
+            for (var pos = 12; pos + 8 <= buf.length && !lossy; )
+            {
+                lossy = String.fromCharCode(buf[pos], buf[pos+1], buf[pos+2], buf[pos+3]) == "VP8 ";
+                pos  += 8 + (((buf[pos+4] | (buf[pos+5] << 8) | (buf[pos+6] << 16) | (buf[pos+7] << 24)) >>> 0) + 1 & ~1); // RIFF pads to even
+            }//for
+        }//if
+        
+        return lossy;
+    };
+    
+//+ (bool)      True if createImageBitmap and OffscreenCanvas exist in this context (window or worker).
+    LBITS.HasImageBitmapDecode = function()
+    {
+        return typeof createImageBitmap != "undefined" && typeof OffscreenCanvas != "undefined";
+    };
+    
+//+ (void)      Decodes any image format the browser supports (PNG, JPEG, WebP, AVIF...) without the DOM, so it works in a worker.
+//              Calls fxCallback(rgba, 4), or fxCallback(null, 4) if it could not be decoded or is not w x h.
+    LBITS.GetNewRGBA8888_FromImageBitmapAsync = function(srcArrayBuffer, w, h, fxCallback)
+    {
+        if (srcArrayBuffer == null || !LBITS.HasImageBitmapDecode())
+        {
+            fxCallback(null, 4);
+            return;
+        }//if
+        
+        var cubbyLlama = function(bmp)
+        {
+            var rgba = null;
+            
+            if (bmp.width == w && bmp.height == h)
+            {
+                var cvs = new OffscreenCanvas(w, h);
+                var ctx = cvs.getContext("2d");
+                ctx.drawImage(bmp, 0, 0);
+                rgba = new Uint8Array(ctx.getImageData(0, 0, w, h).data.buffer);
+            }//if
+            
+            if (bmp.close != null) bmp.close();
+            
+            setTimeout(function() { fxCallback(rgba, 4); }, 0); // outside the promise chain, as in c_InflateAsync
+        };
+        
+        createImageBitmap(new Blob([srcArrayBuffer]), { premultiplyAlpha:"none", colorSpaceConversion:"none" }).then(cubbyLlama).catch(function(err) { setTimeout(function() { fxCallback(null, 4); }, 0); });
+    };
+    
+//+ (obj)       Parses the chunks of PNG buf.  Returns { w, h, bpc, ct, il, plte, trns, idat } or null if not a supported PNG.
+    LBITS.c_PNGParse = function(buf)
+    {
+        if (   buf.length < 8 
+            || buf[0] != 0x89 || buf[1] != 0x50 || buf[2] != 0x4E || buf[3] != 0x47) return null;
+        
+        var png   = { w:0, h:0, bpc:0, ct:-1, il:0, plte:null, trns:null, idat:null };
+        var idats = new Array();
+        var pos   = 8, len, type, idat_n = 0, i;
+        
+        while (pos + 8 <= buf.length)
+        {
+            len  = ((buf[pos] << 24) | (buf[pos+1] << 16) | (buf[pos+2] << 8) | buf[pos+3]) >>> 0;
+            type = String.fromCharCode(buf[pos+4], buf[pos+5], buf[pos+6], buf[pos+7]);
+            pos += 8;
+            
+            if (pos + len > buf.length) break;
+            
+                 if (type == "IHDR")
+            {
+                png.w   = ((buf[pos]   << 24) | (buf[pos+1] << 16) | (buf[pos+2]  << 8) | buf[pos+3]) >>> 0;
+                png.h   = ((buf[pos+4] << 24) | (buf[pos+5] << 16) | (buf[pos+6]  << 8) | buf[pos+7]) >>> 0;
+                png.bpc = buf[pos+8];
+                png.ct  = buf[pos+9];
+                png.il  = buf[pos+12];
+            }//if
+            else if (type == "PLTE") png.plte = buf.subarray(pos, pos + len);
+            else if (type == "tRNS") png.trns = buf.subarray(pos, pos + len);
+            else if (type == "IDAT")
+            {
+                idats.push(buf.subarray(pos, pos + len));
+                idat_n += len;
+            }//else if
+            else if (type == "IEND") break;
+            
+            pos += len + 4; // + CRC
+        }//while
+        
+        if (   png.w == 0 || png.h == 0 || idats.length == 0
+            || LBITS.c_PNGGetChannelCount(png.ct) == 0
+            || (png.ct == 3 && png.plte == null)) return null;
+        
+        png.idat = idats.length == 1 ? idats[0] : new Uint8Array(idat_n);
+        
+        for (i = 0, pos = 0; idats.length > 1 && i < idats.length; i++)
+        {
+            png.idat.set(idats[i], pos);
+            pos += idats[i].length;
+        }//for
+        
+        return png;
+    };
+    
+//+ (int)       Samples per pixel for PNG color type ct, or 0 if invalid.
+    LBITS.c_PNGGetChannelCount = function(ct)
+    {
+        return ct == 0 ? 1 : ct == 2 ? 3 : ct == 3 ? 1 : ct == 4 ? 2 : ct == 6 ? 4 : 0;
+    };
+    
+//+ (NSArray*)  Adam7 passes as [x0, y0, dx, dy].  Non-interlaced is a single pass.
+    LBITS.c_PNGGetPasses = function(il)
+    {
+        return il == 1 ? [[0,0,8,8], [4,0,8,8], [0,4,4,8], [2,0,4,4], [0,2,2,4], [1,0,2,2], [0,1,1,2]] : [[0,0,1,1]];
+    };
+    
+//+ (size_t)    Bytes of filtered scanlines after inflate.
+    LBITS.c_PNGGetRawSize = function(png)
+    {
+        var passes = LBITS.c_PNGGetPasses(png.il);
+        var bpp    = LBITS.c_PNGGetChannelCount(png.ct) * png.bpc;
+        var n = 0, pw, ph;
+        
+        for (var i=0; i<passes.length; i++)
+        {
+            pw = Math.ceil((png.w - passes[i][0]) / passes[i][2]);
+            ph = Math.ceil((png.h - passes[i][1]) / passes[i][3]);
+            
+            if (pw > 0 && ph > 0) n += ph * (1 + ((pw * bpp + 7) >>> 3));
+        }//for
+        
+        return n;
+    };
+    
+//+ (uint8_t*)  Unfilters raw (in place) and expands it to RGBA8888.  If ch_offset >= 0, keeps only that channel of it (Planar8).
+    LBITS.c_PNGGetNewRGBA8888 = function(png, raw, ch_offset)
+    {
+        var ch     = LBITS.c_PNGGetChannelCount(png.ct);
+        var bpp    = ch * png.bpc;
+        var bypp   = Math.max(1, bpp >>> 3);                    // filter byte distance
+        var planar = ch_offset >= 0;
+        var dest   = new Uint8Array(planar ? png.w * png.h : (png.w * png.h) << 2);
+        var row    = planar ? new Uint8Array(png.w << 2) : null; // one scanline of RGBA8888, for picking the channel from
+        var passes = LBITS.c_PNGGetPasses(png.il);
+        var pos    = 0, pw, ph, stride, y, p, x, d;
+        
+        if (raw.length < LBITS.c_PNGGetRawSize(png)) return null;
+        
+        for (p=0; p<passes.length; p++)
+        {
+            pw = Math.ceil((png.w - passes[p][0]) / passes[p][2]);
+            ph = Math.ceil((png.h - passes[p][1]) / passes[p][3]);
+            
+            if (pw <= 0 || ph <= 0) continue;
+            
+            stride = (pw * bpp + 7) >>> 3;
+            
+            for (y=0; y<ph; y++)
+            {
+                LBITS.c_PNGUnfilterRow(raw, pos, y > 0 ? pos - stride - 1 : -1, stride, bypp);
+                d = (passes[p][1] + y * passes[p][3]) * png.w + passes[p][0];
+                
+                if (planar)
+                {
+                    LBITS.c_PNGSetRGBA8888Row(row, raw, pos + 1, png, pw, 0, 4);
+                    
+                    for (x=0; x<pw; x++) dest[d + x * passes[p][2]] = row[(x << 2) + ch_offset];
+                }//if
+                else
+                {
+                    LBITS.c_PNGSetRGBA8888Row(dest, raw, pos + 1, png, pw, d << 2, passes[p][2] << 2);
+                }//else
+                
+                pos += stride + 1;
+            }//for
+        }//for
+        
+        return dest;
+    };
+    
+//+ (void)      Unfilters one scanline in place.  src[row] is the filter type byte, prev is the previous row's, or -1.
+    LBITS.c_PNGUnfilterRow = function(src, row, prev, stride, bypp)
+    {
+        var ft = src[row];
+        var s  = row  + 1;
+        var u  = prev + 1;
+        var i, a, b, c, pa, pb, pc;
+        
+        if (ft == 1)
+        {
+            for (i=bypp; i<stride; i++) src[s+i] = (src[s+i] + src[s+i-bypp]) & 0xFF;
+        }//if
+        else if (ft == 2 && prev != -1)
+        {
+            for (i=0; i<stride; i++) src[s+i] = (src[s+i] + src[u+i]) & 0xFF;
+        }//else if
+        else if (ft == 3)
+        {
+            for (i=0; i<stride; i++)
+            {
+                a = i >= bypp   ? src[s+i-bypp] : 0;
+                b = prev != -1  ? src[u+i]      : 0;
+                src[s+i] = (src[s+i] + ((a + b) >>> 1)) & 0xFF;
+            }//for
+        }//else if
+        else if (ft == 4)
+        {
+            for (i=0; i<stride; i++)
+            {
+                a  = i >= bypp                 ? src[s+i-bypp] : 0;
+                b  = prev != -1                ? src[u+i]      : 0;
+                c  = i >= bypp && prev != -1   ? src[u+i-bypp] : 0;
+                pa = Math.abs(b - c);
+                pb = Math.abs(a - c);
+                pc = Math.abs(a + b - c - c);
+                src[s+i] = (src[s+i] + (pa <= pb && pa <= pc ? a : pb <= pc ? b : c)) & 0xFF;
+            }//for
+        }//else if
+    };
+    
+//+ (void)      Expands n pixels of an unfiltered scanline at src[s] to RGBA8888 dest[d], advancing dd bytes per pixel.
+    LBITS.c_PNGSetRGBA8888Row = function(dest, src, s, png, n, d, dd)
+    {
+        var ct = png.ct, bpc = png.bpc, plte = png.plte, trns = png.trns;
+        var ch = LBITS.c_PNGGetChannelCount(ct);
+        var x, v, o, r, g, b, k;
+        
+        if (bpc < 8) // grayscale or palette only
+        {
+            var mask  = (1 << bpc) - 1;
+            var scale = 255 / mask;
+            var key   = ct == 0 && trns != null && trns.length >= 2 ? ((trns[0] << 8) | trns[1]) : -1;
+            
+            for (x=0; x<n; x++, d+=dd)
+            {
+                o = x * bpc;
+                v = (src[s + (o >>> 3)] >>> (8 - bpc - (o & 7))) & mask;
+                
+                if (ct == 3)
+                {
+                    dest[d]   = plte[v*3];
+                    dest[d+1] = plte[v*3+1];
+                    dest[d+2] = plte[v*3+2];
+                    dest[d+3] = trns != null && v < trns.length ? trns[v] : 255;
+                }//if
+                else
+                {
+                    dest[d] = dest[d+1] = dest[d+2] = Math.round(v * scale);
+                    dest[d+3] = v == key ? 0 : 255;
+                }//else
+            }//for
+        }//if
+        else
+        {
+            var bys = bpc >>> 3; // bytes per sample
+            var bpx = ch * bys;
+            
+            for (x=0; x<n; x++, d+=dd)
+            {
+                o = s + x * bpx;
+                
+                if (ct == 3)
+                {
+                    v = src[o];
+                    dest[d]   = plte[v*3];
+                    dest[d+1] = plte[v*3+1];
+                    dest[d+2] = plte[v*3+2];
+                    dest[d+3] = trns != null && v < trns.length ? trns[v] : 255;
+                }//if
+                else if (ct == 0 || ct == 4)
+                {
+                    dest[d] = dest[d+1] = dest[d+2] = src[o];
+                    
+                    if (ct == 4)
+                    {
+                        dest[d+3] = src[o + bys];
+                    }//if
+                    else
+                    {
+                        k = bys == 2 ? (src[o] << 8) | src[o+1] : src[o];
+                        dest[d+3] = trns != null && trns.length >= 2 && k == ((trns[0] << 8) | trns[1]) ? 0 : 255;
+                    }//else
+                }//else if
+                else
+                {
+                    dest[d]   = src[o];
+                    dest[d+1] = src[o +     bys];
+                    dest[d+2] = src[o + 2 * bys];
+                    
+                    if (ct == 6)
+                    {
+                        dest[d+3] = src[o + 3 * bys];
+                    }//if
+                    else if (trns != null && trns.length >= 6)
+                    {
+                        r = bys == 2 ? (src[o]   << 8) | src[o+1] : src[o];
+                        g = bys == 2 ? (src[o+2] << 8) | src[o+3] : src[o+1];
+                        b = bys == 2 ? (src[o+4] << 8) | src[o+5] : src[o+2];
+                        dest[d+3] = r == ((trns[0] << 8) | trns[1]) && g == ((trns[2] << 8) | trns[3]) && b == ((trns[4] << 8) | trns[5]) ? 0 : 255;
+                    }//else if
+                    else
+                    {
+                        dest[d+3] = 255;
+                    }//else
+                }//else
+            }//for
+        }//else
+    };
+    
+//+ (void)      Inflates zlib stream src, then calls fxCallback(dest) or fxCallback(null).  dest_n is the expected size.
+    LBITS.c_InflateAsync = function(src, dest_n, fxCallback)
+    {
+        if (typeof DecompressionStream != "undefined")
+        {
+            try
+            {
+                var ds = new DecompressionStream("deflate");
+                var w  = ds.writable.getWriter();
+                w.write(src).catch(function(err) { }); // a corrupt stream rejects these too; arrayBuffer() below reports it
+                w.close().catch(function(err) { });
+                
+                // fxCallback runs outside the promise chain, so anything it throws is reported rather than an unhandled rejection.
+                // The sync fallback is a second chance for streams DecompressionStream rejects, eg missing trailing bytes.
+                var doneLlama = function(ab)
+                {
+                    setTimeout(function() { fxCallback(ab != null ? new Uint8Array(ab) : LBITS.c_Inflate(src, dest_n)); }, 0);
+                };
+                
+                new Response(ds.readable).arrayBuffer().then(doneLlama, function(err) { doneLlama(null); });
+                
+                return;
+            }//try
+            catch(err)
+            {
+                // fall through
+            }//catch
+        }//if
+        
+        fxCallback(LBITS.c_Inflate(src, dest_n));
+    };
+    
+//+ (uint8_t*)  Synchronous zlib inflate (RFC 1950 / 1951), for when DecompressionStream is unavailable.  Returns null on error.
+//              The Adler-32 checksum is not verified.  dest_n is the expected size; the output grows if needed.
+    LBITS.c_Inflate = function(src, dest_n)
+    {
+        if (src.length < 2 || (src[0] & 0x0F) != 8 || ((src[0] << 8) | src[1]) % 31 != 0) return null;
+        
+        var pos = 2, tag = 0, bits = 0;
+        var dest = new Uint8Array(Math.max(dest_n, 1024)), d = 0;
+        
+        var getbits = function(n)
+        {
+            while (bits < n)
+            {
+                if (pos >= src.length) throw "EOF";
+                tag  |= src[pos++] << bits;
+                bits += 8;
+            }//while
+            
+            var v = tag & ((1 << n) - 1);
+            tag  >>>= n;
+            bits  -= n;
+            return v;
+        };
+        
+        var build = function(lengths, n) // canonical Huffman: counts per length, then symbols sorted by code
+        {
+            var t = { counts:new Uint16Array(16), symbols:new Uint16Array(n) };
+            var offs = new Uint16Array(16), i;
+            
+            for (i=0; i<n; i++)  t.counts[lengths[i]]++;
+            t.counts[0] = 0;
+            for (i=1; i<16; i++) offs[i] = offs[i-1] + t.counts[i-1];
+            for (i=0; i<n; i++)  if (lengths[i] != 0) t.symbols[offs[lengths[i]]++] = i;
+            
+            return t;
+        };
+        
+        var decode = function(t)
+        {
+            var code = 0, first = 0, index = 0, count;
+            
+            for (var len=1; len<16; len++)
+            {
+                code  |= getbits(1);
+                count  = t.counts[len];
+                
+                if (code - first < count) return t.symbols[index + code - first];
+                
+                index += count;
+                first  = (first + count) << 1;
+                code <<= 1;
+            }//for
+            
+            throw "BAD_CODE";
+        };
+        
+        var put = function(v)
+        {
+            if (d >= dest.length)
+            {
+                var tmp = new Uint8Array(dest.length << 1);
+                tmp.set(dest);
+                dest = tmp;
+            }//if
+            
+            dest[d++] = v;
+        };
+        
+        var LEN_BASE  = [3,4,5,6,7,8,9,10,11,13,15,17,19,23,27,31,35,43,51,59,67,83,99,115,131,163,195,227,258];
+        var LEN_EXTRA = [0,0,0,0,0,0,0,0,1,1,1,1,2,2,2,2,3,3,3,3,4,4,4,4,5,5,5,5,0];
+        var DST_BASE  = [1,2,3,4,5,7,9,13,17,25,33,49,65,97,129,193,257,385,513,769,1025,1537,2049,3073,4097,6145,8193,12289,16385,24577];
+        var DST_EXTRA = [0,0,0,0,1,1,2,2,3,3,4,4,5,5,6,6,7,7,8,8,9,9,10,10,11,11,12,12,13,13];
+        var CL_ORDER  = [16,17,18,0,8,7,9,6,10,5,11,4,12,3,13,2,14,1,15];
+        
+        var final_block, type, lt, dt, sym, len, dist, i, n, v;
+        
+        try
         {
-            if (req.readyState === 4 && req.status == 200 && req.response != null)
+            do
             {
-                if (responseHeader != null)
+                final_block = getbits(1);
+                type        = getbits(2);
+                
+                if (type == 0) // stored
                 {
-                    fxCallback(req.getResponseHeader(responseHeader), userData);
+                    tag  = 0;
+                    bits = 0;
+                    
+                    if (pos + 4 > src.length) return null;
+                    
+                    n    = src[pos] | (src[pos+1] << 8);
+                    pos += 4;
+                    
+                    if (pos + n > src.length) return null;
+                    
+                    for (i=0; i<n; i++) put(src[pos++]);
+                    
+                    continue;
                 }//if
+                else if (type == 1) // fixed Huffman
+                {
+                    var ll = new Uint8Array(288), dl = new Uint8Array(30);
+                    
+                    for (i=0;   i<144; i++) ll[i] = 8;
+                    for (i=144; i<256; i++) ll[i] = 9;
+                    for (i=256; i<280; i++) ll[i] = 7;
+                    for (i=280; i<288; i++) ll[i] = 8;
+                    for (i=0;   i<30;  i++) dl[i] = 5;
+                    
+                    lt = build(ll, 288);
+                    dt = build(dl, 30);
+                }//else if
+                else if (type == 2) // dynamic Huffman
+                {
+                    var hlit  = getbits(5) + 257;
+                    var hdist = getbits(5) + 1;
+                    var hclen = getbits(4) + 4;
+                    var cl    = new Uint8Array(19);
+                    var lens  = new Uint8Array(hlit + hdist);
+                    
+                    for (i=0; i<hclen; i++) cl[CL_ORDER[i]] = getbits(3);
+                    
+                    var ct = build(cl, 19);
+                    
+                    for (i=0; i<hlit + hdist; )
+                    {
+                        sym = decode(ct);
+                        
+                             if (sym < 16)  lens[i++] = sym;
+                        else if (sym == 16) { if (i == 0) return null; v = lens[i-1]; for (n=getbits(2)+3; n>0; n--) lens[i++] = v; }
+                        else if (sym == 17) { for (n=getbits(3)+3;  n>0; n--) lens[i++] = 0; }
+                        else                { for (n=getbits(7)+11; n>0; n--) lens[i++] = 0; }
+                    }//for
+                    
+                    lt = build(lens.subarray(0, hlit), hlit);
+                    dt = build(lens.subarray(hlit),    hdist);
+                }//else if
                 else
                 {
-                    fxCallback(req.response, userData);
+                    return null;
                 }//else
-            }//if
-        };
-        
-        req.send(null);
-    };
-    
-    
-//+ (uint8_t*)
-    LBITS.GetNewRGBA8888_FromPNG_libpng = function(srcArrayBuffer)
-    {
-        var buf  = new Uint8Array(srcArrayBuffer);
-        var png  = new PNG(buf);
-        var rgba = png.decode();
+                
+                while ((sym = decode(lt)) != 256)
+                {
+                    if (sym < 256)
+                    {
+                        put(sym);
+                    }//if
+                    else
+                    {
+                        sym -= 257;
+                        
+                        if (sym >= 29) return null;
+                        
+                        len  = LEN_BASE[sym] + getbits(LEN_EXTRA[sym]);
+                        sym  = decode(dt);
+                        
+                        if (sym >= 30) return null;
+                        
+                        dist = DST_BASE[sym] + getbits(DST_EXTRA[sym]);
+                        
+                        if (dist > d) return null;
+                        
+                        for (i=0; i<len; i++) put(dest[d - dist]);
+                    }//else
+                }//while
+            }//do
+            while (!final_block);
+        }//try
+        catch(err)
+        {
+            return null;
+        }//catch
         
-        return rgba;
+        return d == dest.length ? dest : dest.subarray(0, d);
     };
+
     
     
 // ******************************************************************************************************
@@ -1718,7 +4158,7 @@ var LBITS = (function()
     {
         var i, i_u16 = null, v_u16 = null, dest_i_str = null, dest_v_str = null;
         var n = src_iv_str.length >>> 1;
-        var dest_n = (w >>> 2) * (h >>> 2);
+        var dest_n = BITS.c_GetCellCount(w, h);
         i_u16 = new Uint16Array(n);
         v_u16 = new Uint16Array(n);
         
@@ -1766,6 +4206,7 @@ var LBITS = (function()
     };
     
 
+    // Web Mercator.  See LBITSTileGrid for others.
     LBITS.GetWorldSizeTiles = function(z)
     {
         return 1 << z;
@@ -1776,6 +4217,22 @@ var LBITS = (function()
         return tile_px * LBITS.GetWorldSizeTiles(z);
     };
     
+    // Whether pixels q0...q1 (inclusive) overlap an extent's e0...e1 (exclusive).  If ww > 0, the world wraps and is ww pixels
+    // wide: either may cross the antimeridian, with its far end past ww, so each is also compared one world over.
+    LBITS.c_DoesPxRangeOverlapExtent = function(q0, q1, e0, e1, ww)
+    {
+        return   !(q1      < e0 || q0      >= e1)
+            || (ww > 0 && (   !(q1 + ww < e0 || q0 + ww >= e1)
+                           || !(q1 - ww < e0 || q0 - ww >= e1)));
+    };
+    
+    // Zoom levels between tiles of query_px and tiles of index_px with the same level of detail, eg 1 for 512 over 256.
+    // Rounded, so tiles of nearly the same size (eg 300 and 256) are at the same zoom level.
+    LBITS.c_GetZoomOffsetForTilePx = function(query_px, index_px)
+    {
+        return query_px == index_px ? 0 : Math.round(Math.log(query_px / index_px) / Math.LN2);
+    };
+    
     LBITS.GetMaxZoomLevelSingleIndexForTilePx = function(tile_px)
     {
         var z, max_single_index_z = 0;
@@ -1807,6 +4264,102 @@ var LBITS = (function()
 
 
 
+// LBITSGroup -- Layer Group
+// =========================
+//
+// Combines several LBITS into one answer for ShouldLoadTile, for composite views.  For example, two survey layers where a
+// tile should load if either has data (union), or a mask layer that only matters where both exist (intersection).
+//
+// Members may have different minZ/maxZ; outside of its zoom levels a layer has no tiles, so it counts as having no data.
+// Members may also have different tile sizes; a tile x/y @ z covers the same area regardless of its size in pixels.
+// They must all use the same tile grid (idx_tile_grid), however.
+//
+// Example:
+//
+//     var group = new LBITSGroup(100, [layerA, layerB], LBITSGroup.UNION);
+//     ...
+//     if (!group.ShouldLoadTile(100, x, y, z)) return null;
+
+var LBITSGroup = (function()
+{
+//- (void)
+    function LBITSGroup(groupId, layers, mode)
+    {
+        this.groupId = groupId;                                        //  int32_t
+        this.layers  = layers != null ? layers : new Array();          //  NSMutableArray* of LBITS*
+        this.mode    = mode   != null ? mode   : LBITSGroup.UNION;     // uint32_t
+    }
+    
+    LBITSGroup.UNION        = 0;     // any layer has data
+    LBITSGroup.INTERSECTION = 1;     // all layers have data
+    LBITSGroup.DIFFERENCE   = 2;     // the first layer has data, not entirely covered by data in any of the others
+    
+//- (void)
+    LBITSGroup.prototype.AddLayer = function(lbits)
+    {
+        this.layers.push(lbits);
+    };
+    
+//- (bool)  Same semantics as LBITS.ShouldLoadTile: returns false only if the group's answer can be ruled out.
+//          tile_w is optional, as for LBITS.ShouldLoadTile.
+    LBITSGroup.prototype.ShouldLoadTile = function(groupId, x, y, z, tile_w)
+    {
+        if (this.groupId != groupId || this.layers.length == 0) return true;
+        
+        var i, lb;
+        
+        if (this.mode == LBITSGroup.INTERSECTION)
+        {
+            for (i=0; i<this.layers.length; i++)
+            {
+                lb = this.layers[i];
+                if (!lb.ShouldLoadTile(lb.layerId, x, y, z, null, tile_w)) return false;
+            }//for
+            
+            return true;
+        }//if
+        else if (this.mode == LBITSGroup.DIFFERENCE)
+        {
+            lb = this.layers[0];
+            
+            if (!lb.ShouldLoadTile(lb.layerId, x, y, z, null, tile_w)) return false;
+            
+            // A tile with any data in a subtracted layer may still have some of the first layer's data showing, so only
+            // tiles the subtracted layer covers entirely can be ruled out.
+            for (i=1; i<this.layers.length; i++)
+            {
+                lb = this.layers[i];
+                if (lb.IsTileFullyCoveredByData(lb.layerId, x, y, z, tile_w)) return false;
+            }//for
+            
+            return true;
+        }//else if
+        
+        for (i=0; i<this.layers.length; i++)
+        {
+            lb = this.layers[i];
+            if (lb.ShouldLoadTile(lb.layerId, x, y, z, null, tile_w)) return true;
+        }//for
+        
+        return false;
+    };
+    
+//- (bool)
+    LBITSGroup.prototype.IsReady = function()
+    {
+        for (var i=0; i<this.layers.length; i++)
+        {
+            if (!this.layers[i].isReady) return false;
+        }//for
+        
+        return true;
+    };
+
+    return LBITSGroup;
+})();
+
+
+
 
 
 
@@ -1855,15 +4408,22 @@ var BITS = (function()
         this.data     = data;            //  int16_t*
         this.isReady  = data != null || isReady;    //     bool
         this.tempData = null;            // uint8_t*
+        this.tempSpp  = 4;               // uint32_t -- tempData is RGBA8888 (4) or Planar8 (1)
         this.needProc = false;           // bool
         this.needGet  = false;           // bool
         this.getting  = false;           // bool
-        this._defExZ  = BITS.c_GetDefaultExtentZoomLevel();      // uint32_t
-        this.extent   = null;            // uint32_t
+        this._defExZ  = BITS.c_GetDefaultExtentZoomLevel();      // uint32_t -- set to the layer's by LBITS.AddBitstore
+        this.extent   = null;            // double*
         
         // &&& property copy to support lazy loads, usually can be null ***
-        this.img_fx_unshadow         = false;   // bool
+        this.img_fx_unshadow         = false;   // bool -- only used if img_fx_pipeline is null, see BITS.c_GetLegacyPipeline
         this.img_fx_unstroke         = false;   // bool
+        this.img_fx_pipeline         = null;    // serialized filter list, see BITS.c_SerializePipeline
+        this.img_fx_morph            = null;    // const char*
+        this.img_fx_morph_se         = "3x3";   // const char*
+        this.img_fx_morph_r          = 1;       // uint32_t
+        this.img_px_predicate        = null;    // serialized pixel predicate, see BITS.c_SerializePixelPredicate
+        this.img_lossy_tol           = null;    // see LBITS.GetLossyTolerance
         this.img_ch_offset           = 3;       // uint32_t
         this.img_alpha_threshold     = 1;       // uint32_t
         this.img_unshd_threshold     = 1;
@@ -1925,7 +4485,7 @@ var BITS = (function()
 //- (bool)  Extent check -- faster.  Does not check layerId.  Only valid for z >= this.z
     BITS.prototype.CanIndexTile = function(x, y, z, extent_u32)
     {
-        if (extent_u32 == null) extent_u32 = BITS.c_GetNewPxExtentVector_u32(x, y, z, this._defExZ);
+        if (extent_u32 == null) extent_u32 = BITS.c_GetNewPxExtentVector_u32(x, y, z, this._defExZ, this.img_width, this.img_height);
         
         return !(   extent_u32[2] < this.extent[0] || extent_u32[0] >= this.extent[2]
                  || extent_u32[3] < this.extent[1] || extent_u32[1] >= this.extent[3]);
@@ -1946,7 +4506,7 @@ var BITS = (function()
         var bitX;
         var bitIdx;
         
-        var bit_w = this.img_width >>> 2, yrem, yrsw, bitIdx;
+        var bit_w = BITS.c_GetCellWidth(this.img_width), yrem, yrsw, bitIdx;
 
         // 3. For the pixels that intersect between the two rects, loop through and see if any of the bits are 1.
         for (var bitY = py0; bitY <= py1; bitY++) 
@@ -1971,6 +4531,122 @@ var BITS = (function()
     
     
     
+//- (int32_t*)  Inclusive pixel rect [px0, py0, px1, py1] in this bitmap for the footprint of tile x/y @ z.  Only valid for z >= this.z
+    BITS.prototype.GetTilePixelRect = function(x, y, z)
+    {
+        var r = new Int32Array(4);
+        r[0] = BITS.c_MercXZtoMercXZ(x * this.img_width,                        z, this.z) - this.x * this.img_width;
+        r[1] = BITS.c_MercXZtoMercXZ(y * this.img_height,                       z, this.z) - this.y * this.img_height;
+        r[2] = BITS.c_MercXZtoMercXZ(x * this.img_width  + this.img_width  - 1, z, this.z) - this.x * this.img_width;
+        r[3] = BITS.c_MercXZtoMercXZ(y * this.img_height + this.img_height - 1, z, this.z) - this.y * this.img_height;
+        return r;
+    };
+    
+//- (size_t)    Number of set bits in the bitmap index under the footprint of tile x/y @ z.  Only valid for z >= this.z
+    BITS.prototype.GetTileDataCount = function(x, y, z)
+    {
+        var r = this.GetTilePixelRect(x, y, z);
+        return BITS.c_GetDataCountInPixelRect(this.data, r[0], r[1], r[2], r[3], this.img_width, this.img_height);
+    };
+    
+//- (double)    Fraction [0.0 ... 1.0] of the bitmap index under the footprint of tile x/y @ z which is data.
+//              Tiles smaller than one index pixel can only be 0.0 or 1.0.  Only valid for z >= this.z
+    BITS.prototype.GetTileCoverage = function(x, y, z)
+    {
+        var r = this.GetTilePixelRect(x, y, z);
+        var n = (r[2] - r[0] + 1) * (r[3] - r[1] + 1);
+        
+        return BITS.c_GetDataCountInPixelRect(this.data, r[0], r[1], r[2], r[3], this.img_width, this.img_height) / n;
+    };
+    
+//- (void)  Batch version of DoesTileIntersectData, for LBITS.GetTileMaskForTileRange.  Only valid for z >= this.z
+//
+//          For tiles in the clip range cx0...cx1, cy0...cy1 @ z which this BITS covers, mask is ANDed with whether the tile
+//          intersects data.  mask is row-major, with width mw and origin mx0, my0.  hit is scratch space the same size as mask.
+//          The intersecting part of the bitmap is scanned once, with each set pixel marking every tile it falls in.
+    BITS.prototype.AndTileMaskForTileRange = function(mask, hit, mx0, my0, mw, cx0, cy0, cx1, cy1, z)
+    {
+        if (z < this.z || this.data == null) return;
+    
+        var dz  = z - this.z;
+        var w   = this.img_width;
+        var h   = this.img_height;
+        var ox  = this.x * w;
+        var oy  = this.y * h;
+        
+        // 1. Clip to the tiles @ z this BITS covers
+        var tx0 = Math.max(cx0,  this.x      << dz);
+        var ty0 = Math.max(cy0,  this.y      << dz);
+        var tx1 = Math.min(cx1, ((this.x + 1) << dz) - 1);
+        var ty1 = Math.min(cy1, ((this.y + 1) << dz) - 1);
+        
+        if (tx0 > tx1 || ty0 > ty1) return;
+        
+        var tx,ty,mi;
+        
+        for (ty = ty0; ty <= ty1; ty++)
+        {
+            mi = (ty - my0) * mw - mx0;
+            
+            for (tx = tx0; tx <= tx1; tx++)
+            {
+                hit[mi + tx] = 0;
+            }//for
+        }//for
+        
+        // 2. Pixel window @ this.z for the clipped tiles
+        var px0 = BITS.c_MercXZtoMercXZ(tx0 * w,         z, this.z) - ox;
+        var py0 = BITS.c_MercXZtoMercXZ(ty0 * h,         z, this.z) - oy;
+        var px1 = BITS.c_MercXZtoMercXZ(tx1 * w + w - 1, z, this.z) - ox;
+        var py1 = BITS.c_MercXZtoMercXZ(ty1 * h + h - 1, z, this.z) - oy;
+        
+        // 3. Mark every tile touched by a set pixel
+        var bit_w = BITS.c_GetCellWidth(w), yrsw, yrem, bitIdx, bitX, bitY;
+        var hx0,hy0,hx1,hy1;
+        
+        for (bitY = py0; bitY <= py1; bitY++)
+        {
+            yrsw = (bitY >>> 2) * bit_w;
+            yrem = (bitY - ( (bitY>>>2) << 2)) << 2;
+            
+            for (bitX = px0; bitX <= px1; bitX++)
+            {
+                bitIdx = yrsw + (bitX >>> 2);
+                
+                if ((this.data[bitIdx] & (1 << (yrem + bitX - ((bitX >>> 2) << 2) ))) != 0)
+                {
+                    hx0 = Math.max(tx0, Math.floor( BITS.c_MercXZtoMercXZ(ox + bitX,     this.z, z)      / w));
+                    hy0 = Math.max(ty0, Math.floor( BITS.c_MercXZtoMercXZ(oy + bitY,     this.z, z)      / h));
+                    hx1 = Math.min(tx1, Math.floor((BITS.c_MercXZtoMercXZ(ox + bitX + 1, this.z, z) - 1) / w));
+                    hy1 = Math.min(ty1, Math.floor((BITS.c_MercXZtoMercXZ(oy + bitY + 1, this.z, z) - 1) / h));
+                    
+                    for (ty = hy0; ty <= hy1; ty++)
+                    {
+                        mi = (ty - my0) * mw - mx0;
+                        
+                        for (tx = hx0; tx <= hx1; tx++)
+                        {
+                            hit[mi + tx] = 1;
+                        }//for
+                    }//for
+                }//if
+            }//for
+        }//for
+        
+        // 4. AND
+        for (ty = ty0; ty <= ty1; ty++)
+        {
+            mi = (ty - my0) * mw - mx0;
+            
+            for (tx = tx0; tx <= tx1; tx++)
+            {
+                mask[mi + tx] &= hit[mi + tx];
+            }//for
+        }//for
+    };
+    
+    
+    
 // ******************************************************************************************************
 // BITS -- Misc
 // ******************************************************************************************************
@@ -1985,7 +4661,7 @@ var BITS = (function()
         }//if
         else
         {
-            BITS.c_SetPxExtentVector_u32(v, this.x, this.y, this.z, this._defExZ, this.img_width, this.img_height);
+            BITS.c_SetPxExtentVector_u32(this.extent, this.x, this.y, this.z, this._defExZ, this.img_width, this.img_height);
         }//else
         
         this.extent[2] += 1; 
@@ -2051,9 +4727,17 @@ var BITS = (function()
 */
 
 //-(void)   Sets/replaces the instance's bitmap index with one newly synthesized from a RGBA8888 tile.
-    BITS.prototype.SetBitmapFromRGBA8888Tile = function(src, unshadow, unstroke, ch_offset, alpha_threshold, unshd_threshold)
+//          The old (src, unshadow, unstroke, ch_offset, ...) form still works; see BITS.GetBitmapFromRGBA8888Tile.
+    BITS.prototype.SetBitmapFromRGBA8888Tile = function(src, pipeline, ch_offset, alpha_threshold, unshd_threshold, morph, morph_se, morph_r, predicate, lossy, spp)
     {
-        this.data = BITS.GetBitmapFromRGBA8888Tile(src, unshadow, unstroke, ch_offset, alpha_threshold, unshd_threshold, this.img_width, this.img_height);
+        if (typeof pipeline == "boolean" || typeof ch_offset == "boolean") // legacy: (src, unshadow, unstroke, ch_offset, alpha_threshold, unshd_threshold, morph, morph_se, morph_r, predicate)
+        {
+            var a = arguments;
+            this.data = BITS.GetBitmapFromRGBA8888Tile(src, a[1], a[2], a[3], a[4], a[5], this.img_width, this.img_height, a[6], a[7], a[8], a[9]);
+            return;
+        }//if
+        
+        this.data = BITS.GetBitmapFromRGBA8888Tile(src, pipeline, ch_offset, alpha_threshold, unshd_threshold, this.img_width, this.img_height, morph, morph_se, morph_r, predicate, lossy, spp);
     };
     
 // ******************************************************************************************************
@@ -2074,39 +4758,209 @@ var BITS = (function()
     };
     
 
-//- (NSMutableArray*)   Returns two vectors of corresponding index/value pairs containing the actual data.  index range: [0 ... 4095], value range: [0 ... 65535]
-    BITS.prototype.DecomposeIndexIntoIV = function()
+//- (NSMutableArray*)   Returns two vectors of corresponding index/value pairs containing the actual data.  index range: [0 ... 4095], value range: [0 ... 65535]
+    BITS.prototype.DecomposeIndexIntoIV = function()
+    {
+        return BITS.c_DecomposeIndexIntoIV(this.data);
+    };
+    
+    
+//              Used to iteratively refine extent of parent LBITS.
+//- (int32_t*)  Returns the extent of the pixels, rather than the general tile boundaries.  Do *not* set a BIT's extent to this.
+    BITS.prototype.GetPixelExtentFromBitstore = function()
+    {
+        return BITS.c_GetPixelExtentFromBitstore(this.data, this.x, this.y, this.z, this.img_width, this.img_height);
+    };
+    
+    
+// ******************************************************************************************************
+// BITS -- Bitmap Index I/O -- Input
+// ******************************************************************************************************
+
+//- (void)
+    BITS.prototype.SetBitmapFromCachedRGBA8888 = function()
+    {
+        if (this.tempData != null) 
+        {
+            this.SetBitmapFromRGBA8888Tile(this.tempData, this.img_fx_pipeline != null ? this.img_fx_pipeline : BITS.c_SerializePipeline(BITS.c_GetLegacyPipeline(this.img_fx_unshadow, this.img_fx_unstroke)), this.img_ch_offset, this.img_alpha_threshold, this.img_unshd_threshold, this.img_fx_morph, this.img_fx_morph_se, this.img_fx_morph_r, this.img_px_predicate, this.img_lossy_tol, this.tempSpp);
+        }//if
+    };
+    
+    
+// ******************************************************************************************************
+// BITS -- Set Operations
+// ******************************************************************************************************
+
+    // Bitwise set operations between bitmaps, on the packed uint16_t cells directly.  eg, "new data since last month",
+    // or "layer A minus layer B".
+    //
+    // The instance methods modify this BITS in place and return it.  The class methods return a new BITS with the
+    // x/y/z of the first operand.  Both return null if the operands are incompatible.
+    //
+    // The operands must have the same width and height.  If their x/y/z differ, the second operand is reprojected into the
+    // first's tile (see GetReprojectedBitmap), where it is treated as having no data outside its own tile.
+
+    BITS.OP_AND    = 0;
+    BITS.OP_OR     = 1;
+    BITS.OP_XOR    = 2;
+    BITS.OP_ANDNOT = 3;
+
+//- (BITS*)
+    BITS.prototype.And    = function(other) { return this.ApplyBitwiseOp(other, BITS.OP_AND);    };
+    BITS.prototype.Or     = function(other) { return this.ApplyBitwiseOp(other, BITS.OP_OR);     };
+    BITS.prototype.Xor    = function(other) { return this.ApplyBitwiseOp(other, BITS.OP_XOR);    };
+    BITS.prototype.AndNot = function(other) { return this.ApplyBitwiseOp(other, BITS.OP_ANDNOT); };
+    
+//- (BITS*)
+    BITS.prototype.Invert = function()
+    {
+        if (this.data == null) return null;
+        
+        BITS.c_Invert_u16(this.data, this.data);
+        BITS.c_ClearPadding_u16(this.data, this.img_width, this.img_height);
+        
+        return this;
+    };
+    
+//- (bool)  True if both bitmaps are identical, after reprojecting other into this tile if needed.
+    BITS.prototype.Equals = function(other)
+    {
+        var src = this.GetCompatibleBitmap(other);
+        
+        return src != null && this.data != null && BITS.c_Equals_u16(this.data, src);
+    };
+    
+//- (BITS*)
+    BITS.prototype.ApplyBitwiseOp = function(other, op)
+    {
+        var src = this.GetCompatibleBitmap(other);
+        
+        if (src == null || this.data == null) return null;
+        
+        BITS.c_BitwiseOp_u16(this.data, this.data, src, op);
+        
+        return this;
+    };
+    
+//- (uint16_t*) other's bitmap in this BITS' tile, or null if incompatible.  Not a copy if no reprojection was needed.
+    BITS.prototype.GetCompatibleBitmap = function(other)
+    {
+        if (   other      == null 
+            || other.data == null 
+            || other.img_width  != this.img_width 
+            || other.img_height != this.img_height)
+        {
+            if (this._log) console.log("BITS.GetCompatibleBitmap: ERR: Incompatible bitstores.");
+            return null;
+        }//if
+        
+        if (other.x == this.x && other.y == this.y && other.z == this.z) return other.data;
+        
+        return other.GetReprojectedBitmap(this.x, this.y, this.z);
+    };
+    
+//- (BITS*) Deep copy.
+    BITS.prototype.Clone = function()
+    {
+        var bs = new BITS(this.layerId, this.x, this.y, this.z, this.img_width, this.img_height, this.data != null ? new Uint16Array(this.data) : null, this.isReady);
+        
+        bs.img_fx_unshadow     = this.img_fx_unshadow;
+        bs.img_fx_unstroke     = this.img_fx_unstroke;
+        bs.img_fx_pipeline     = this.img_fx_pipeline;
+        bs.img_fx_morph        = this.img_fx_morph;
+        bs.img_fx_morph_se     = this.img_fx_morph_se;
+        bs.img_fx_morph_r      = this.img_fx_morph_r;
+        bs.img_px_predicate    = this.img_px_predicate;
+        bs.img_lossy_tol       = this.img_lossy_tol;
+        bs.img_ch_offset       = this.img_ch_offset;
+        bs.img_alpha_threshold = this.img_alpha_threshold;
+        bs.img_unshd_threshold = this.img_unshd_threshold;
+        
+        return bs;
+    };
+    
+//- (uint16_t*) Returns a new bitmap of this BITS reprojected into tile x/y @ z, with the same width and height.
+//              Higher zoom level data is OR-reduced into lower zoom pixels; lower zoom data is upsampled.
+//              Areas of the destination tile outside this BITS are empty.
+    BITS.prototype.GetReprojectedBitmap = function(x, y, z)
+    {
+        var w    = this.img_width;
+        var h    = this.img_height;
+        var dest = new Uint16Array(BITS.c_GetCellCount(w, h));
+        var ox   = x * w, oy = y * h;
+        var i,px,py,sx,sy;
+        
+        if (this.data == null) return dest;
+        
+        if (this.z >= z) // same or higher resolution: visit set pixels only
+        {
+            var xys = this.DecomposeIndexIntoXY();
+            var xs  = xys[0], ys = xys[1];
+            
+            for (i=0; xs != null && i<xs.length; i++)
+            {
+                px = BITS.c_MercXZtoMercXZ(this.x * w + xs[i], this.z, z) - ox;
+                py = BITS.c_MercXZtoMercXZ(this.y * h + ys[i], this.z, z) - oy;
+                
+                if (px >= 0 && py >= 0 && px < w && py < h) BITS.c_SetBit(dest, px, py, w, h);
+            }//for
+        }//if
+        else // lower resolution: sample for every destination pixel
+        {
+            for (py = 0; py < h; py++)
+            {
+                sy = BITS.c_MercXZtoMercXZ(oy + py, z, this.z) - this.y * h;
+                
+                if (sy < 0 || sy >= h) continue;
+                
+                for (px = 0; px < w; px++)
+                {
+                    sx = BITS.c_MercXZtoMercXZ(ox + px, z, this.z) - this.x * w;
+                    
+                    if (sx >= 0 && sx < w && BITS.c_GetBit(this.data, sx, sy, w, h)) BITS.c_SetBit(dest, px, py, w, h);
+                }//for
+            }//for
+        }//else
+        
+        return dest;
+    };
+    
+//+ (BITS*) New BITS with the result of the operation.  x/y/z are those of a.
+    BITS.And    = function(a, b) { return a == null ? null : a.Clone().And(b);    };
+    BITS.Or     = function(a, b) { return a == null ? null : a.Clone().Or(b);     };
+    BITS.Xor    = function(a, b) { return a == null ? null : a.Clone().Xor(b);    };
+    BITS.AndNot = function(a, b) { return a == null ? null : a.Clone().AndNot(b); };
+    BITS.Invert = function(a)    { return a == null ? null : a.Clone().Invert();  };
+    BITS.Equals = function(a, b) { return a != null && a.Equals(b);               };
+
+
+    // **************************************************************************************************************
+    // ****************************************      CLASS (STATIC) FUNCTIONS      **********************************
+    // **************************************************************************************************************
+
+//+ (size_t)    Number of uint16_t cells per row of the bitmap index, for a tile w pixels wide.
+//              If w is not a multiple of 4, the last cell of each row is partial, and its bits past w are always 0.
+    BITS.c_GetCellWidth = function(w)
     {
-        return BITS.c_DecomposeIndexIntoIV(this.data);
+        return (w + 3) >>> 2;
     };
     
-    
-//              Used to iteratively refine extent of parent LBITS.
-//- (int32_t*)  Returns the extent of the pixels, rather than the general tile boundaries.  Do *not* set a BIT's extent to this.
-    BITS.prototype.GetPixelExtentFromBitstore = function()
+//+ (size_t)    Number of uint16_t cells in the bitmap index for a w x h tile.
+    BITS.c_GetCellCount = function(w, h)
     {
-        return BITS.c_GetPixelExtentFromBitstore(this.data, this.x, this.y, this.z, this.img_width, this.img_height);
+        return ((w + 3) >>> 2) * ((h + 3) >>> 2);
     };
     
-    
-// ******************************************************************************************************
-// BITS -- Bitmap Index I/O -- Input
-// ******************************************************************************************************
-
-//- (void)
-    BITS.prototype.SetBitmapFromCachedRGBA8888 = function()
+//+ (void)      Turns off the bits of partial cells past w / h, eg after an inversion.
+    BITS.c_ClearPadding_u16 = function(dest_u16, w, h)
     {
-        if (this.tempData != null) 
-        {
-            this.SetBitmapFromRGBA8888Tile(this.tempData, this.img_fx_unshadow, this.img_fx_unstroke, this.img_ch_offset, this.img_alpha_threshold, this.img_unshd_threshold);
-        }//if
+        var pw = BITS.c_GetCellWidth(w)  << 2;
+        var ph = BITS.c_GetCellWidth(h) << 2;
+        
+        if (pw > w) BITS.c_ClearPixelRect_u16(dest_u16, w, 0, pw - 1, ph - 1, w, h);
+        if (ph > h) BITS.c_ClearPixelRect_u16(dest_u16, 0, h, pw - 1, ph - 1, w, h);
     };
 
-
-    // **************************************************************************************************************
-    // ****************************************      CLASS (STATIC) FUNCTIONS      **********************************
-    // **************************************************************************************************************
-
 //+ (bool)  returns a boolean value indicating whether the pixel is on or off, for pixel x,y coordinates in a 256,256 tile
     BITS.c_GetBit = function(src_u16, x, y, w, h)
     {
@@ -2120,7 +4974,7 @@ var BITS = (function()
         return (src_u16[idx] & bit) != 0;
         */
 
-        var bit_w = w >>> 2;
+        var bit_w = BITS.c_GetCellWidth(w);
         var idx   = (y >>> 2) * bit_w + (x >>> 2);
         
         return BITS.c_GetBitReusingIdx(src_u16, idx, x, y);
@@ -2137,15 +4991,82 @@ var BITS = (function()
     };
 
 
+//+ (void)  Sets the pixel x,y on.
+    BITS.c_SetBit = function(dest_u16, x, y, w, h)
+    {
+        var bit_w = BITS.c_GetCellWidth(w);
+        var idx   = (y >>> 2) * bit_w + (x >>> 2);
+        var xc    =  x - ( (x>>>2) << 2);
+        var yc    = (y - ( (y>>>2) << 2)) << 2;
+        
+        dest_u16[idx] |= 1 << (yc + xc);
+    };
+    
+//+ (void)  Turns off all pixels in the inclusive pixel rect px0...px1, py0...py1.
+    BITS.c_ClearPixelRect_u16 = function(dest_u16, px0, py0, px1, py1, w, h)
+    {
+        var bit_w = BITS.c_GetCellWidth(w);
+        var cx,cy,lo,hi,r,row_m,cell_m;
+        
+        for (cy = py0 >>> 2; cy <= py1 >>> 2; cy++)
+        {
+            lo    = Math.max(py0 - (cy << 2), 0);
+            hi    = Math.min(py1 - (cy << 2), 3);
+            row_m = 0;
+            
+            for (r = lo; r <= hi; r++) row_m |= 0xF << (r << 2);
+            
+            for (cx = px0 >>> 2; cx <= px1 >>> 2; cx++)
+            {
+                lo     = Math.max(px0 - (cx << 2), 0);
+                hi     = Math.min(px1 - (cx << 2), 3);
+                cell_m = ((1 << (hi + 1)) - 1) & ~((1 << lo) - 1);
+                cell_m = cell_m | (cell_m << 4) | (cell_m << 8) | (cell_m << 12);
+                
+                dest_u16[cy * bit_w + cx] &= ~(cell_m & row_m);
+            }//for
+        }//for
+    };
+    
+//+ (void)  dest = a <op> b, for whole uint16_t cells.  dest may be a or b.  op: BITS.OP_AND, OP_OR, OP_XOR, OP_ANDNOT
+    BITS.c_BitwiseOp_u16 = function(dest_u16, a_u16, b_u16, op)
+    {
+        var i, n = dest_u16.length;
+        
+             if (op == BITS.OP_AND)    { for (i=0; i<n; i++) dest_u16[i] = a_u16[i] &  b_u16[i]; }
+        else if (op == BITS.OP_OR)     { for (i=0; i<n; i++) dest_u16[i] = a_u16[i] |  b_u16[i]; }
+        else if (op == BITS.OP_XOR)    { for (i=0; i<n; i++) dest_u16[i] = a_u16[i] ^  b_u16[i]; }
+        else if (op == BITS.OP_ANDNOT) { for (i=0; i<n; i++) dest_u16[i] = a_u16[i] & ~b_u16[i]; }
+    };
+    
+//+ (void)  dest = ~src.  dest may be src.
+    BITS.c_Invert_u16 = function(dest_u16, src_u16)
+    {
+        for (var i=0; i<dest_u16.length; i++) dest_u16[i] = ~src_u16[i];
+    };
+    
+//+ (bool)
+    BITS.c_Equals_u16 = function(a_u16, b_u16)
+    {
+        if (a_u16.length != b_u16.length) return false;
+        
+        for (var i=0; i<a_u16.length; i++)
+        {
+            if (a_u16[i] != b_u16[i]) return false;
+        }//for
+        
+        return true;
+    };
+
 //+ (size_t)    http://en.wikipedia.org/wiki/Hamming_weight
     BITS.c_GetDataCount = function(src_u16, w, h)
     {
         var dc = 0;
         
-        if (src_u16 != null && src_u16.length == (w >>> 2) * (h >>> 2))
+        if (src_u16 != null && src_u16.length == BITS.c_GetCellCount(w, h))
         {
-            var bit_w = w >>> 2;
-            var bit_h = h >>> 2;
+            var bit_w = BITS.c_GetCellWidth(w);
+            var bit_h = BITS.c_GetCellWidth(h);
             var i,x,y,y_width;
         
             for (y = 0; y < bit_h; y++)
@@ -2154,10 +5075,52 @@ var BITS = (function()
             
                 for (x = 0; x < bit_w; x++)
                 {
-                    for (i = src_u16[y_width+x]; i > 0; i >>>= 1) 
-                    {
-                        if (i & 1) dc++;
-                    }//for
+                    dc += BITS.c_PopCount_u16(src_u16[y_width+x]);
+                }//for
+            }//for
+        }//if
+        
+        return dc;
+    };
+    
+//+ (size_t)    Number of set bits in a uint16_t cell.  SWAR, no loop.
+    BITS.c_PopCount_u16 = function(v)
+    {
+        v = v - ((v >>> 1) & 0x5555);
+        v = (v & 0x3333) + ((v >>> 2) & 0x3333);
+        v = (v + (v >>> 4)) & 0x0F0F;
+        
+        return (v + (v >>> 8)) & 0x1F;
+    };
+    
+//+ (size_t)    Number of set bits in the inclusive pixel rect px0...px1, py0...py1.  Whole cells are masked and popcounted
+//              rather than testing each bit.
+    BITS.c_GetDataCountInPixelRect = function(src_u16, px0, py0, px1, py1, w, h)
+    {
+        var dc = 0;
+        
+        if (src_u16 != null && src_u16.length == BITS.c_GetCellCount(w, h))
+        {
+            var bit_w = BITS.c_GetCellWidth(w);
+            var cx,cy,lo,hi,r,row_m,cell_m,y_width;
+        
+            for (cy = py0 >>> 2; cy <= py1 >>> 2; cy++)
+            {
+                y_width = cy * bit_w;
+                lo      = Math.max(py0 - (cy << 2), 0);
+                hi      = Math.min(py1 - (cy << 2), 3);
+                row_m   = 0;
+                
+                for (r = lo; r <= hi; r++) row_m |= 0xF << (r << 2); // rows of this cell inside the rect
+            
+                for (cx = px0 >>> 2; cx <= px1 >>> 2; cx++)
+                {
+                    lo     = Math.max(px0 - (cx << 2), 0);
+                    hi     = Math.min(px1 - (cx << 2), 3);
+                    cell_m = ((1 << (hi + 1)) - 1) & ~((1 << lo) - 1); // columns of this cell inside the rect
+                    cell_m = cell_m | (cell_m << 4) | (cell_m << 8) | (cell_m << 12);
+                
+                    dc += BITS.c_PopCount_u16(src_u16[y_width + cx] & cell_m & row_m);
                 }//for
             }//for
         }//if
@@ -2170,13 +5133,13 @@ var BITS = (function()
     {
         var dest_x_u32 = null, dest_y_u32 = null;
 
-        if (src_u16 != null && src_u16.length == (w >>> 2) * (h >>> 2))
+        if (src_u16 != null && src_u16.length == BITS.c_GetCellCount(w, h))
         {
             var dc         = BITS.c_GetDataCount(src_u16, w, h);
             var dest_x_u32 = new Uint32Array(dc);
             var dest_y_u32 = new Uint32Array(dc);
             var x,bitIdx,dest_i = 0;
-            var bit_w      = w >>> 2,yrsw,yrem;
+            var bit_w      = BITS.c_GetCellWidth(w),yrsw,yrem;
         
             for (var y = 0; y < h; y++)
             {
@@ -2202,9 +5165,9 @@ var BITS = (function()
             {
                 console.log("BITS.c_DecomposeIndexIntoXY: ERR: src_u16 was null.");
             }//if
-            if (src_u16.length != (w >>> 2) * (h >>> 2))
+            else if (src_u16.length != BITS.c_GetCellCount(w, h))
             {
-                console.log("BITS.c_DecomposeIndexIntoXY: ERR: src_u16.len=%d, expected=%d (for %d x %d)", src_u16.length, (w >>> 2) * (h >>> 2), w, h);
+                console.log("BITS.c_DecomposeIndexIntoXY: ERR: src_u16.len=%d, expected=%d (for %d x %d)", src_u16.length, BITS.c_GetCellCount(w, h), w, h);
             }//if
         }//else
         
@@ -2212,13 +5175,14 @@ var BITS = (function()
     };
 
 
-//  BITS.c_GetPixelExtentFromBitstore(bs_u16, userData[0],userData[1],userData[2],userData[9],userData[10]);"
+//  BITS.c_GetPixelExtentFromBitstore(bs_u16, userData[0],userData[1],userData[2],userData[8],userData[9]);"
     BITS.c_GetPixelExtentFromBitstore = function(src_u16, tx, ty, z, w, h)
     {
         var bitIdx,x,y,dc=0,minX=32767,minY=32767,maxX=-32768,maxY=-32768;
-        var bit_w = w >>> 2,yrsw,yrem;
+        var bit_w = BITS.c_GetCellWidth(w),yrsw,yrem;
+        var cols  = new Uint8Array(w);
 
-        if (src_u16 != null && src_u16.length == (w >>> 2) * (h >>> 2)) // not worth lazy loading
+        if (src_u16 != null && src_u16.length == BITS.c_GetCellCount(w, h)) // not worth lazy loading
         {
             for (y = 0; y < h; y++)
             {
@@ -2235,11 +5199,23 @@ var BITS = (function()
                         if (y < minY) minY = y;
                         if (x > maxX) maxX = x;
                         if (x < minX) minX = x;
+                        cols[x] = 1;
                     }//if
                 }//for
             }//for
         }//if
 
+        // Widest run of empty columns between the data, for tiles as wide as the world with data on both sides of the
+        // antimeridian.  See LBITS.UpdateLayerExtentFromBitstorePixelExtent.
+        var gx0 = -1, gx1 = -1, rx0 = -1;
+        
+        for (x = minX + 1; x < maxX; x++)
+        {
+            if (cols[x] != 0) { rx0 = -1; continue; }
+            if (rx0 < 0) rx0 = x;
+            if (gx0 < 0 || x - rx0 > gx1 - gx0) { gx0 = rx0; gx1 = x; }
+        }//for
+        
         if (minX == 32767 && minY == 32767 && maxX == -32768 && maxY == -32768) 
         { 
             minX = 0;
@@ -2248,7 +5224,7 @@ var BITS = (function()
             maxY = h;
         }//if
 
-        var results = new Uint32Array(8);
+        var results = new Float64Array(10); // converted in place to @ the extent zoom level, see c_vPixelExtentToMercExtent_u32
         results[0] = minX;
         results[1] = minY;
         results[2] = maxX;
@@ -2257,133 +5233,576 @@ var BITS = (function()
         results[5] = z;
         results[6] = tx;
         results[7] = ty;
+        results[8] = gx0;   // empty columns gx0...gx1, or -1
+        results[9] = gx1;
 
         return results;
     };
     
-    // 2015-02-09 ND: Attempt to make this faster by storing binary UTF-16.  Would improve efficiency by > 4x.
-    BITS.c_DecomposeIndexIntoIV = function(src_u16)
+    // 2015-02-09 ND: Attempt to make this faster by storing binary UTF-16.  Would improve efficiency by > 4x.
+    BITS.c_DecomposeIndexIntoIV = function(src_u16)
+    {
+        if (src_u16 == null)
+        {
+            return null;
+        }//if
+    
+        var dest_i_str = "", dest_v_str = "";
+        
+        for (var i = 0; i < src_u16.length; i++)
+        {
+            if (src_u16[i] != 0)
+            {
+                dest_i_str += String.fromCharCode(i);
+                dest_v_str += String.fromCharCode(src_u16[i]);
+            }//if
+        }//for
+        
+        return [dest_i_str, dest_v_str];  
+    };
+    
+    
+    BITS.c_GetNewPlanar8FromBitmap = function(src_u16, data_u08, NODATA_u08, w, h)
+    {
+        if (src_u16 == null)
+        {
+            console.log("BITS.c_GetNewPlanar8FromBitmap: ERR: src_u16 was NULL!");
+            return null;
+        }//if
+
+        var x,y,dest_u08 = new Uint8Array(w * h);
+        
+        if (NODATA_u08 != 0) 
+        { 
+            for (var i=0; i<dest_u08.length; i++) 
+            { 
+                dest_u08[i] = NODATA_u08; // "memset"
+            }//for 
+        }//if
+        
+        var bit_w = BITS.c_GetCellWidth(w);
+        var bitIdx,yrsw,yrem;
+        
+        for (y = 0; y < h; y++)
+        {
+            yrsw = (y >>> 2) * bit_w;
+            yrem = (y - ( (y>>>2) << 2)) << 2;
+            
+            for (x = 0; x < w; x++)
+            {  
+                bitIdx = yrsw + (x >>> 2);
+            
+                if ((src_u16[bitIdx] & (1 << (yrem + x - ((x >>> 2) << 2) ))) != 0)
+                {
+                    dest_u08[y*w+x] = data_u08;
+                }//if
+            }//for
+        }//for
+    
+        return dest_u08;
+    };
+
+
+//+ (int)       Channel to decode tiles to as Planar8, or -1 if they must be RGBA8888: a pipeline, predicate (eg key color)
+//              or "auto" unshadow threshold needs RGB.  Otherwise only ch_offset is thresholded, so nothing else is kept.
+    BITS.c_GetDecodeChannel = function(pipeline, ch_offset, unshd_threshold, predicate)
+    {
+        return pipeline == null && predicate == null && unshd_threshold != "auto" ? ch_offset : -1;
+    };
+    
+//+ (bool)      True if src is a w x h tile of spp bytes per pixel: 4 for RGBA8888, 1 for Planar8.
+    BITS.c_IsTileSize = function(src, spp, w, h)
+    {
+        return src != null && (spp == 4 || spp == 1) && src.length == w * h * spp;
+    };
+
+
+//+(uint16_t)   Sets/replaces the instance's bitmap index with one newly synthesized from a RGBA8888 tile.
+//              spp is optional: 1 if src is instead Planar8 of only channel ch_offset (see BITS.c_GetDecodeChannel), else 4.
+//              The old (src, unshadow, unstroke, ch_offset, ...) form, from before pipelines, is still accepted.
+    BITS.GetBitmapFromRGBA8888Tile = function(src, pipeline, ch_offset, alpha_threshold, unshd_threshold, w, h, morph, morph_se, morph_r, predicate, lossy, spp)
+    {
+        if (typeof pipeline == "boolean" || typeof ch_offset == "boolean") // legacy: (src, unshadow, unstroke, ch_offset, alpha_threshold, unshd_threshold, w, h, morph, morph_se, morph_r, predicate)
+        {
+            var a = arguments;
+            return BITS.GetBitmapFromRGBA8888Tile(src, BITS.c_SerializePipeline(BITS.c_GetLegacyPipeline(a[1], a[2])), a[3], a[4], a[5], a[6], a[7], a[8], a[9], a[10], a[11], null);
+        }//if
+        
+        var dest = null;
+        
+        if (spp == null) spp = 4;
+        
+        if (BITS.c_IsTileSize(src, spp, w, h))
+        {
+            var bit_w = BITS.c_GetCellWidth(w);
+            var bit_h = BITS.c_GetCellWidth(h);
+
+            dest = new Uint16Array(bit_w * bit_h);
+            
+            if (!BITS.c_IsAutoParamsResolved([predicate, alpha_threshold, unshd_threshold])) // normally already resolved from the master tile
+            {
+                var ap = BITS.c_ResolveAutoParams([predicate, alpha_threshold, unshd_threshold], src, ch_offset, w, h, spp);
+                predicate       = ap[0];
+                alpha_threshold = ap[1];
+                unshd_threshold = ap[2];
+            }//if
+            
+            var is_lossy = lossy != null && lossy[0] === true;
+            
+            if (is_lossy && alpha_threshold < lossy[1])
+            {
+                alpha_threshold = lossy[1]; // compression noise isn't data
+            }//if
+
+            if (pipeline != null) 
+            {
+                BITS.ApplyPipelineToRGBA8888Tile(src, pipeline, ch_offset, alpha_threshold, unshd_threshold, w, h);
+            }//if
+            
+            var x, bsX, bsY_bW = 0;
+            var bpr = w * spp;
+            
+            if (spp == 1) ch_offset = 0; // Planar8 is only that channel
+            
+            if (predicate != null)
+            {
+                dest = BITS.c_GetNewBitmapFromPlanar8(BITS.c_GetNewPlanar8FromRGBA8888WithPredicate(src, BITS.c_CompilePixelPredicate(predicate), w, h), w, h);
+            }//if
+            else
+            {
+                for (var y = 0; y < h; y+=4)
+                {
+                    bsX = 0;
+                    
+                    for (x = 0; x < bpr; x+=spp<<2)
+                    {
+                        dest[bsY_bW+bsX] = BITS.GetBitmapCellFromPlanarTile_u16(src, x, y, ch_offset, spp, alpha_threshold, w, h, bpr);
+                        bsX++;
+                    }//for
+                
+                    bsY_bW += bit_w;
+                }//for
+            }//else
+            
+            if (morph != null)
+            {
+                dest = BITS.c_Morph_u16(dest, morph, morph_se, morph_r, w, h);
+            }//if
+            
+            if (is_lossy && lossy[2] > 0)
+            {
+                dest = BITS.c_Morph_u16(dest, "dilate", "disc", lossy[2], w, h); // ...but edges lowered by compression are
+            }//if
+        }//if
+        else
+        {
+            if (src == null) console.log("BITS.GetBitmapFromRGBA8888Tile: ERR: src was NULL!");
+            else             console.log("BITS.GetBitmapFromRGBA8888Tile: ERR: src.length=%d, expected %d!", src.length, w * h * spp);
+        }//else
+        
+        return dest;
+    };
+
+
+    // Pixel predicates: decide whether a RGBA pixel is data, instead of thresholding one channel.  A predicate is passed
+    // around in serialized form (plain data only) so that it can be posted to the worker, and compiled where it is used.
+    //
+    // {op:"alpha_range", min:1, max:255}        alpha within min...max
+    // {op:"rgb_not",     rgb:[r,g,b], tol:0}    RGB differs from a NODATA color by more than tol, eg opaque tiles with magenta NODATA
+    //                                           optional min_a also requires alpha >= min_a.  rgb:"auto" is resolved from a tile's corners.
+    // {op:"luma_above",  t:16}                  Rec. 601 luma above t
+    // {op:"rgb_in",      rgbs:[[r,g,b],...]}    RGB is one of a set of colors, eg the colors of a set of palette indices
+    // {op:"custom",      src:"function(r,g,b,a) { ... }"}   must be self-contained, as the worker recompiles it from source
+
+//+ (obj)   Serialized form of predicate: functions become {op:"custom"} with their source.  Anything else is returned as-is.
+//          This thread keeps compiling the source to the function itself, so it still works here if it was not self-contained.
+    BITS.c_SerializePixelPredicate = function(predicate)
+    {
+        if (typeof predicate == "function") BITS._compiled_fx[predicate.toString()] = predicate;
+        
+        return typeof predicate == "function" ? { op:"custom", src:predicate.toString() } : predicate;
+    };
+    
+//+ (fx*)   Compiles a serialized predicate into a function(r,g,b,a) returning bool.
+    BITS.c_CompilePixelPredicate = function(p)
+    {
+        var fx = null;
+        
+        if (typeof p == "function")
+        {
+            fx = p;
+        }//if
+        else if (p.op == "alpha_range")
+        {
+            var min = p.min != null ? p.min : 1, max = p.max != null ? p.max : 255;
+            fx = function(r, g, b, a) { return a >= min && a <= max; };
+        }//else if
+        else if (p.op == "rgb_not")
+        {
+            var nr = p.rgb[0], ng = p.rgb[1], nb = p.rgb[2], tol = p.tol != null ? p.tol : 0, min_a = p.min_a != null ? p.min_a : 0;
+            fx = function(r, g, b, a) { return a >= min_a && (Math.abs(r - nr) > tol || Math.abs(g - ng) > tol || Math.abs(b - nb) > tol); };
+        }//else if
+        else if (p.op == "luma_above")
+        {
+            var t = p.t != null ? p.t : 0;
+            fx = function(r, g, b, a) { return 0.299 * r + 0.587 * g + 0.114 * b > t; };
+        }//else if
+        else if (p.op == "rgb_in")
+        {
+            var set = new Object();
+            for (var i=0; i<p.rgbs.length; i++) set[(p.rgbs[i][0] << 16) | (p.rgbs[i][1] << 8) | p.rgbs[i][2]] = true;
+            fx = function(r, g, b, a) { return set[(r << 16) | (g << 8) | b] === true; };
+        }//else if
+        else if (p.op == "custom")
+        {
+            fx = BITS.c_CompileSource(p.src);
+        }//else if
+        else
+        {
+            console.log("BITS.c_CompilePixelPredicate: ERR: Unknown op \"%s\".  Everything will be data.", p.op);
+            fx = function(r, g, b, a) { return true; };
+        }//else
+        
+        return fx;
+    };
+    
+    BITS._compiled_fx = new Object(); // function source -> function, per thread (page or worker)
+    
+//+ (fx*)   Compiles the source of a function once; later calls with the same source return the same function, not one per tile.
+    BITS.c_CompileSource = function(src)
+    {
+        var fx = BITS._compiled_fx[src];
+        
+        if (fx == null)
+        {
+            fx = new Function("return (" + src + ");")();
+            BITS._compiled_fx[src] = fx;
+        }//if
+        
+        return fx;
+    };
+    
+//+ (bool)  False if the predicate still needs something from the master tile, ie rgb:"auto".
+    BITS.c_IsPixelPredicateResolved = function(p)
+    {
+        return p == null || p.rgb != "auto";
+    };
+    
+//+ (bool)  Auto params are [predicate, alpha_threshold, unshd_threshold, (lossy)].  False if any still needs the master tile.
+    BITS.c_IsAutoParamsResolved = function(ap)
+    {
+        return BITS.c_IsPixelPredicateResolved(ap[0]) && ap[1] != "auto" && ap[2] != "auto" && (ap.length < 4 || ap[3] != "auto");
+    };
+    
+//+ (NSArray*)  Returns a copy of auto params ap, resolved against RGBA8888 tile src.  Must be called before any img_fx modify src.
+//              lossy, if present, is copied as-is; it needs the encoded bytes (LBITS.c_IsLossyImage), not RGBA.
+//              spp is optional, 1 if src is Planar8; then only the alpha threshold can be resolved.
+    BITS.c_ResolveAutoParams = function(ap, src, ch_offset, w, h, spp)
     {
-        if (src_u16 == null)
+        var pred = BITS.c_ResolvePixelPredicate(ap[0], src, w, h);
+        var at   = ap[1] == "auto" ? BITS.c_GetAutoAlphaThreshold(src, ch_offset, w, h, spp) : ap[1];
+        var ut   = ap[2] == "auto" ? BITS.c_GetAutoUnshadowThreshold(src, ch_offset, at, w, h) : ap[2];
+        
+        return ap.length > 3 ? [pred, at, ut, ap[3]] : [pred, at, ut];
+    };
+    
+//+ (int)   Otsu threshold of channel ch_offset, or of Planar8 src if spp is 1.  Values >= the result are data.  1 if the channel has less than two values.
+    BITS.c_GetAutoAlphaThreshold = function(src, ch_offset, w, h, spp)
+    {
+        var hist = new Float64Array(256);
+        
+        if (spp == null) spp = 4;
+        
+        for (var i = spp == 1 ? 0 : ch_offset; i < src.length; i += spp) hist[src[i]]++;
+        
+        var k = BITS.c_GetOtsuThreshold(hist, 0, 255);
+        
+        return k == -1 ? 1 : k + 1;
+    };
+    
+//+ (int)   Otsu threshold of max(R,G,B) for pixels >= alpha_threshold.  RGB <= the result is shadow.  1 unless the dark class is near black.
+    BITS.c_GetAutoUnshadowThreshold = function(src, ch_offset, alpha_threshold, w, h)
+    {
+        var hist  = new Float64Array(256);
+        var rgbac = BITS.GetRGBAOffsetsForAlphaOffset(ch_offset);
+        var i, m;
+        
+        for (i = 0; i < src.length; i += 4)
         {
-            return null;
+            if (src[i + ch_offset] >= alpha_threshold)
+            {
+                m = src[i + rgbac[0]] > src[i + rgbac[1]] ? src[i + rgbac[0]] : src[i + rgbac[1]];
+                m = src[i + rgbac[2]] > m ? src[i + rgbac[2]] : m;
+                hist[m]++;
+            }//if
+        }//for
+        
+        var k = BITS.c_GetOtsuThreshold(hist, 0, 255);
+        
+        if (k != -1)
+        {
+            var n = 0, sum = 0;
+            
+            for (i = 0; i <= k; i++)
+            {
+                n   += hist[i];
+                sum += hist[i] * i;
+            }//for
+            
+            if (sum / n > 32) k = -1; // the darker class is just darker data
         }//if
+        
+        return k == -1 ? 1 : k;
+    };
     
-        var dest_i_str = "", dest_v_str = "";
+//+ (int)   Otsu's method over hist[i0...i1].  Returns the last value of the lower class, or -1 if there is nothing to separate.
+    BITS.c_GetOtsuThreshold = function(hist, i0, i1)
+    {
+        var n = 0, sum = 0, i;
         
-        for (var i = 0; i < src_u16.length; i++)
+        for (i = i0; i <= i1; i++)
         {
-            if (src_u16[i] != 0)
+            n   += hist[i];
+            sum += hist[i] * i;
+        }//for
+        
+        var n0 = 0, sum0 = 0, best = -1, best_v = 0, m0, m1, v;
+        
+        for (i = i0; i < i1; i++)
+        {
+            n0   += hist[i];
+            sum0 += hist[i] * i;
+            
+            if (n0 == 0)  continue;
+            if (n0 == n)  break;
+            
+            m0 = sum0 / n0;
+            m1 = (sum - sum0) / (n - n0);
+            v  = n0 * (n - n0) * (m0 - m1) * (m0 - m1); // between-class variance, unscaled
+            
+            if (v > best_v)
             {
-                dest_i_str += String.fromCharCode(i);
-                dest_v_str += String.fromCharCode(src_u16[i]);
+                best   = i;
+                best_v = v;
             }//if
         }//for
         
-        return [dest_i_str, dest_v_str];  
+        return best;
     };
     
-    
-    BITS.c_GetNewPlanar8FromBitmap = function(src_u16, data_u08, NODATA_u08, w, h)
+//+ (obj)   If unresolved, returns a copy of p resolved against RGBA8888 tile src.  Otherwise, returns p.
+    BITS.c_ResolvePixelPredicate = function(p, src, w, h)
     {
-        if (src_u16 == null)
-        {
-            console.log("BITS.c_GetNewPlanar8FromBitmap: ERR: src_u16 was NULL!");
-            return null;
-        }//if
-
-        var x,y,dest_u08 = new Uint8Array(w * h);
+        if (BITS.c_IsPixelPredicateResolved(p)) return p;
         
-        if (NODATA_u08 != 0) 
-        { 
-            for (var i=0; i<dest_u08.length; i++) 
-            { 
-                dest_u08[i] = NODATA_u08; // "memset"
-            }//for 
-        }//if
+        var dest = new Object();
+        for (var k in p) dest[k] = p[k];
         
-        var bit_w = w >>> 2;
-        var bitIdx,yrsw,yrem;
+        dest.rgb = BITS.c_GetBackgroundRGBFromCorners(src, w, h);
         
-        for (y = 0; y < h; y++)
+        return dest;
+    };
+    
+//+ (int[3])    Most common RGB of the four corner pixels.  Ties go to the top left.  Transparent corners are only used if all are.
+    BITS.c_GetBackgroundRGBFromCorners = function(src, w, h)
+    {
+        var os   = [0, (w - 1) << 2, (w * (h - 1)) << 2, (w * h - 1) << 2];
+        var best = -1, best_n = 0, n, i, j;
+        
+        for (i=0; i<4; i++)
         {
-            yrsw = (y >>> 2) * bit_w;
-            yrem = (y - ( (y>>>2) << 2)) << 2;
+            if (src[os[i]+3] == 0) continue;
             
-            for (x = 0; x < w; x++)
-            {  
-                bitIdx = yrsw + (x >>> 2);
+            n = 0;
             
-                if ((src_u16[bitIdx] & (1 << (yrem + x - ((x >>> 2) << 2) ))) != 0)
-                {
-                    dest_u08[y*w+x] = data_u08;
-                }//if
+            for (j=0; j<4; j++)
+            {
+                if (   src[os[j]+3] != 0
+                    && src[os[j]]   == src[os[i]] 
+                    && src[os[j]+1] == src[os[i]+1] 
+                    && src[os[j]+2] == src[os[i]+2]) n++;
             }//for
+            
+            if (n > best_n)
+            {
+                best   = i;
+                best_n = n;
+            }//if
         }//for
+        
+        if (best == -1) best = 0;
+        
+        return [src[os[best]], src[os[best]+1], src[os[best]+2]];
+    };
     
-        return dest_u08;
+//+ (uint8_t*)  Returns a w x h Planar8 image with 1 where fx(r,g,b,a) is true, otherwise 0.
+    BITS.c_GetNewPlanar8FromRGBA8888WithPredicate = function(src, fx, w, h)
+    {
+        var dest = new Uint8Array(w * h);
+        
+        for (var i = 0, j = 0; i < dest.length; i++, j += 4)
+        {
+            if (fx(src[j], src[j+1], src[j+2], src[j+3])) dest[i] = 1;
+        }//for
+        
+        return dest;
     };
 
+//+ (NSMutableArray*)   Returns most likely RGB indices for alpha index ch_offset.
+    BITS.GetRGBAOffsetsForAlphaOffset = function(ch_offset)
+    {
+             if (ch_offset == 0) return [1,2,3,0];
+        else if (ch_offset == 1) return [2,3,0,1];
+        else if (ch_offset == 2) return [3,0,1,2];
+        else                     return [0,1,2,3];
+    };
 
-//+(uint16_t)   Sets/replaces the instance's bitmap index with one newly synthesized from a RGBA8888 tile.
-    BITS.GetBitmapFromRGBA8888Tile = function(src, unshadow, unstroke, ch_offset, alpha_threshold, unshd_threshold, w, h)
+    // Preprocessing pipeline: an ordered list of filters run on the RGBA tile before indexing.  Like pixel predicates,
+    // it is passed around in serialized form (plain data only) so that it can be posted to the worker.
+    //
+    // {op:"unshadow", t:unshd_threshold}          RecoverShadowAlphaInRGBA8888Tile
+    // {op:"unstroke"}                             RecoverDStroke..., RecoverXStroke..., RecoverYStroke...
+    // {op:"unkey",    rgb:[r,g,b], tol:0}         RemoveKeyColorInRGBA8888Tile
+    // {op:"unhalo",   rgb:[r,g,b], tol:16, r:2}   RemoveHaloInRGBA8888Tile
+    // {op:"custom",   src:"function(rgba, w, h, ch_offset, alpha_threshold) { ... }"}    compiled once per source, BITS.c_CompileSource
+    //                                                                                   must be self-contained, as for predicates
+
+//+ (NSArray*)  Serialized form of pipeline: strings become {op:s}, functions become {op:"custom"} with their source.
+//              As with BITS.c_SerializePixelPredicate, this thread keeps using the functions themselves.
+    BITS.c_SerializePipeline = function(pipeline)
     {
-        var dest = null;
+        if (pipeline == null) return null;
         
-        if (src != null && src.length == (w * h) << 2)
+        var dest = new Array(pipeline.length);
+        
+        for (var i=0; i<pipeline.length; i++)
         {
-            var bit_w = w >>> 2;
-            var bit_h = h >>> 2;
-
-            dest = new Uint16Array(bit_w * bit_h);
-
-            if (unshadow) 
+                 if (typeof pipeline[i] == "string")   dest[i] = { op:pipeline[i] };
+            else if (typeof pipeline[i] == "function") dest[i] = { op:"custom", src:pipeline[i].toString() };
+            else                                       dest[i] = pipeline[i];
+            
+            if (typeof pipeline[i] == "function") BITS._compiled_fx[dest[i].src] = pipeline[i];
+        }//for
+        
+        return dest.length > 0 ? dest : null;
+    };
+    
+//+ (NSArray*)  The pipeline equivalent of the img_fx_unshadow and img_fx_unstroke flags.
+    BITS.c_GetLegacyPipeline = function(unshadow, unstroke)
+    {
+        var dest = new Array();
+        
+        if (unshadow) dest.push("unshadow");
+        if (unstroke) dest.push("unstroke");
+        
+        return dest;
+    };
+    
+//+ (void)  Runs each filter of serialized pipeline on RGBA8888 tile src, in order.
+    BITS.ApplyPipelineToRGBA8888Tile = function(src, pipeline, ch_offset, alpha_threshold, unshd_threshold, w, h)
+    {
+        var fx, backup;
+        
+        for (var i=0; i<pipeline.length; i++)
+        {
+            fx = pipeline[i];
+            
+            if (fx.op == "unshadow")
             {
-                BITS.RecoverShadowAlphaInRGBA8888Tile(src, ch_offset, alpha_threshold, unshd_threshold, w, h);
+                BITS.RecoverShadowAlphaInRGBA8888Tile(src, ch_offset, alpha_threshold, fx.t != null ? fx.t : unshd_threshold, w, h);
             }//if
-            
-            if (unstroke)
+            else if (fx.op == "unstroke")
             {
-                var backup = new Uint8Array(src);
+                backup = new Uint8Array(src);
                 BITS.RecoverDStrokeInRGBA8888Tile(src, backup, ch_offset, alpha_threshold, w, h);
                 BITS.RecoverXStrokeInRGBA8888Tile(src, backup, ch_offset, alpha_threshold, w, h);
                 BITS.RecoverYStrokeInRGBA8888Tile(src, backup, ch_offset, alpha_threshold, w, h);
                 backup = null;
+            }//else if
+            else if (fx.op == "unkey")
+            {
+                BITS.RemoveKeyColorInRGBA8888Tile(src, ch_offset, fx.rgb, fx.tol != null ? fx.tol : 0, w, h);
+            }//else if
+            else if (fx.op == "unhalo")
+            {
+                BITS.RemoveHaloInRGBA8888Tile(src, ch_offset, alpha_threshold, fx.rgb, fx.tol != null ? fx.tol : 16, fx.r != null ? fx.r : 2, w, h);
+            }//else if
+            else if (fx.op == "custom")
+            {
+                BITS.c_CompileSource(fx.src)(src, w, h, ch_offset, alpha_threshold);
+            }//else if
+            else
+            {
+                console.log("BITS.ApplyPipelineToRGBA8888Tile: ERR: Unknown op \"%s\".  Skipping.", fx.op);
+            }//else
+        }//for
+    };
+    
+//+ (void)  Sets the ch_offset (alpha) value to 0 when R, G and B are each within tol of rgb.
+    BITS.RemoveKeyColorInRGBA8888Tile = function(src, ch_offset, rgb, tol, w, h)
+    {
+        var rgbac = BITS.GetRGBAOffsetsForAlphaOffset(ch_offset);
+        var rc = rgbac[0], gc = rgbac[1], bc = rgbac[2];
+        var n  = (w * h) << 2;
+        
+        for (var i = 0; i < n; i += 4)
+        {
+            if (   Math.abs(src[i + rc] - rgb[0]) <= tol
+                && Math.abs(src[i + gc] - rgb[1]) <= tol
+                && Math.abs(src[i + bc] - rgb[2]) <= tol)
+            {
+                src[i + ch_offset] = 0;
             }//if
+        }//for
+    };
+    
+//+ (void)  Peels up to r passes of outline: data pixels within tol of halo color rgb that are 4-adjacent to NODATA.
+//          Stops early if nothing changed.  Pixels outside the tile are not NODATA, as data may continue in the next tile.
+    BITS.RemoveHaloInRGBA8888Tile = function(src, ch_offset, alpha_threshold, rgb, tol, r, w, h)
+    {
+        var rgbac = BITS.GetRGBAOffsetsForAlphaOffset(ch_offset);
+        var rc = rgbac[0], gc = rgbac[1], bc = rgbac[2];
+        var ac = ch_offset;
+        var bpr  = w << 2;
+        var peel = new Uint8Array(w * h);
+        var x, y, i, n, pass;
+        
+        for (pass = 0; pass < r; pass++)
+        {
+            n = 0;
             
-            var x, bsX, bsY_bW = 0;
-            var bpr = w * 4;
-
-            for (var y = 0; y < h; y+=4)
+            for (y = 0; y < h; y++)
             {
-                bsX = 0;
-                
-                for (x = 0; x < bpr; x+=16)
+                for (x = 0; x < w; x++)
                 {
-                    dest[bsY_bW+bsX] = BITS.GetBitmapCellFromPlanarTile_u16(src, x, y, ch_offset, 4, alpha_threshold, w, h, bpr);
-                    bsX++;
+                    i = y * bpr + (x << 2);
+                    
+                    if (   src[i + ac] >= alpha_threshold
+                        && Math.abs(src[i + rc] - rgb[0]) <= tol
+                        && Math.abs(src[i + gc] - rgb[1]) <= tol
+                        && Math.abs(src[i + bc] - rgb[2]) <= tol
+                        && (   (x > 0     && src[i - 4   + ac] < alpha_threshold)
+                            || (x < w - 1 && src[i + 4   + ac] < alpha_threshold)
+                            || (y > 0     && src[i - bpr + ac] < alpha_threshold)
+                            || (y < h - 1 && src[i + bpr + ac] < alpha_threshold)))
+                    {
+                        peel[y * w + x] = 1;
+                        n++;
+                    }//if
                 }//for
+            }//for
             
-                bsY_bW += bit_w;
+            if (n == 0) break;
+            
+            for (i = 0; i < peel.length; i++)
+            {
+                if (peel[i] == 1)
+                {
+                    src[(i << 2) + ac] = 0;
+                    peel[i]            = 0;
+                }//if
             }//for
-        }//if
-        else
-        {
-            if (src == null) console.log("BITS.GetBitmapFromRGBA8888Tile: ERR: src was NULL!");
-            if (src.length != (w * h) << 2) console.log("BITS.GetBitmapFromRGBA8888Tile: ERR: src.length=%d, expected %d!", src.length, (w * h) << 2);
-        }//else
-        
-        return dest;
-    };
-
-
-//+ (NSMutableArray*)   Returns most likely RGB indices for alpha index ch_offset.
-    BITS.GetRGBAOffsetsForAlphaOffset = function(ch_offset)
-    {
-             if (ch_offset == 0) return [1,2,3,0];
-        else if (ch_offset == 1) return [2,3,0,1];
-        else if (ch_offset == 2) return [3,0,1,2];
-        else                     return [0,1,2,3];
+        }//for
     };
 
 //+ (void)  Sets the ch_offset (alpha) value to 0 when R, G and B pixels are all below alpha_threshold.
@@ -2513,8 +5932,130 @@ var BITS = (function()
     };
 
 
+    // Morphological filters on the bitmap index, as a general replacement for the stroke recovery above, which only handles
+    // a forward-only 2x2 NODATA fill.  A symmetric 3x3 fill or a halo of radius r is a dilation of the data by that
+    // structuring element; eroding by the same element undoes it.  (erode(dilate(X)) is the closing of X, which always
+    // contains X, so the failure mode remains false positives)
+    //
+    // op: "erode", "dilate", "open" (erode, then dilate), "close" (dilate, then erode)
+    // se: "2x2" (forward only: +x, +y), "3x3", "disc" (radius r)
+
+//+ (uint16_t*)     Returns a new bitmap with the morphological operation op applied.  Returns src if op is unknown.
+    BITS.c_Morph_u16 = function(src_u16, op, se, r, w, h)
+    {
+        var se_xy = BITS.c_GetStructuringElementXYs(se, r);
+        var src   = BITS.c_GetNewPlanar8FromBitmap(src_u16, 1, 0, w, h);
+        var dest;
+        
+             if (op == "erode")  dest = BITS.c_Morph_u08(src, se_xy, false, w, h);
+        else if (op == "dilate") dest = BITS.c_Morph_u08(src, se_xy, true,  w, h);
+        else if (op == "open")   dest = BITS.c_Morph_u08(BITS.c_Morph_u08(src, se_xy, false, w, h), se_xy, true,  w, h);
+        else if (op == "close")  dest = BITS.c_Morph_u08(BITS.c_Morph_u08(src, se_xy, true,  w, h), se_xy, false, w, h);
+        else
+        {
+            console.log("BITS.c_Morph_u16: ERR: Unknown op \"%s\", ignoring.", op);
+            return src_u16;
+        }//else
+        
+        return BITS.c_GetNewBitmapFromPlanar8(dest, w, h);
+    };
+    
+//+ (int32_t*)      Structuring element as interleaved x,y offsets.
+    BITS.c_GetStructuringElementXYs = function(se, r)
+    {
+        var xy = new Array();
+        var x,y;
+        
+        if (se == "2x2")
+        {
+            xy = [0,0, 1,0, 0,1, 1,1];
+        }//if
+        else if (se == "disc")
+        {
+            r = r != null && r > 0 ? r : 1;
+            
+            for (y = -r; y <= r; y++)
+            {
+                for (x = -r; x <= r; x++)
+                {
+                    if (x * x + y * y <= r * r) xy.push(x, y);
+                }//for
+            }//for
+        }//else if
+        else // "3x3"
+        {
+            for (y = -1; y <= 1; y++)
+            {
+                for (x = -1; x <= 1; x++)
+                {
+                    xy.push(x, y);
+                }//for
+            }//for
+        }//else
+        
+        return new Int32Array(xy);
+    };
+    
+//+ (uint8_t*)      Dilation (is_dilate) or erosion of a Planar8 0/1 image with a structuring element.
+//                  Dilation: dest(p) = OR  of src(p - b).  Outside the image is 0.
+//                  Erosion:  dest(p) = AND of src(p + b).  Outside the image is 1, so data at tile edges is not eroded.
+    BITS.c_Morph_u08 = function(src, se_xy, is_dilate, w, h)
+    {
+        var dest = new Uint8Array(w * h);
+        var sign = is_dilate ? -1 : 1;
+        var x,y,i,sx,sy,v;
+        
+        for (y = 0; y < h; y++)
+        {
+            for (x = 0; x < w; x++)
+            {
+                v = is_dilate ? 0 : 1;
+                
+                for (i = 0; i < se_xy.length; i += 2)
+                {
+                    sx = x + sign * se_xy[i];
+                    sy = y + sign * se_xy[i+1];
+                    
+                    if (sx < 0 || sy < 0 || sx >= w || sy >= h) continue; // 0 for dilate, 1 for erode: no effect either way
+                    
+                    if (is_dilate && src[sy * w + sx] != 0) { v = 1; break; }
+                    if (!is_dilate && src[sy * w + sx] == 0) { v = 0; break; }
+                }//for
+                
+                dest[y * w + x] = v;
+            }//for
+        }//for
+        
+        return dest;
+    };
+    
+//+ (uint16_t*)     Inverse of c_GetNewPlanar8FromBitmap.  Any non-zero value is data.
+    BITS.c_GetNewBitmapFromPlanar8 = function(src_u08, w, h)
+    {
+        var bit_w = BITS.c_GetCellWidth(w);
+        var dest  = new Uint16Array(bit_w * BITS.c_GetCellWidth(h));
+        var x, bsX, bsY_bW = 0;
+        
+        for (var y = 0; y < h; y+=4)
+        {
+            bsX = 0;
+            
+            for (x = 0; x < w; x+=4)
+            {
+                dest[bsY_bW+bsX] = BITS.GetBitmapCellFromPlanarTile_u16(src_u08, x, y, 0, 1, 1, w, h, w);
+                bsX++;
+            }//for
+            
+            bsY_bW += bit_w;
+        }//for
+        
+        return dest;
+    };
+
+
     // returns uint16_t scalar value of cell, intened to then be set in the uint16_t* bitmap index vector.
     // this is synthesized from 4x4 cells (16 total) from the 256x256 source tile src.
+    // cells at the right/bottom edge of a tile whose w/h is not a multiple of 4 are partial; bits past the edge are 0.
     
 //+ (uint16_t)
     BITS.GetBitmapCellFromPlanarTile_u16 = function(src, x, y, offset, stride, threshold, w, h, bytes_per_row)
@@ -2524,14 +6065,17 @@ var BITS = (function()
         if (src != null && src.length == bytes_per_row * h)
         {
             var bitX,bitY_width,idxCount=0;
+            var y1 = Math.min(y + 4, h);
+            var x1 = Math.min(x + 4 * stride, w * stride);
         
             threshold--;
     
-            for (var bitY = y; bitY < y + 4; bitY++)
+            for (var bitY = y; bitY < y1; bitY++)
             {
                 bitY_width = bitY * w * stride;
+                idxCount   = (bitY - y) << 2;
         
-                for (bitX = x; bitX < x + 4 * stride; bitX+=stride)
+                for (bitX = x; bitX < x1; bitX+=stride)
                 {
                     if (src[bitY_width + bitX + offset] > threshold)
                     {
@@ -2558,44 +6102,78 @@ var BITS = (function()
     };
     
 
-//+ (void*)     Primary coordinate system reprojection function, for EPSG3857 pixel or tile x/y at different zoom levels.
+//+ (void*)     Primary coordinate system reprojection function, for pixel or tile x/y at different zoom levels.
+//              Holds for any LBITSTileGrid, as every tile has 2x2 children.
+//              Scales by a power of 2 rather than shifting, which is exact up to 2^53: pixel x/y past z=21 overflow 32 bits.
     BITS.c_MercXZtoMercXZ = function(x, z, dest_z)
     {
-        return dest_z > z ? x << (dest_z - z) : x >>> (z - dest_z);
+        return dest_z > z ? x * Math.pow(2, dest_z - z) : Math.floor(x * Math.pow(2, dest_z - z));
     };
     
     
-//+ (void)  Variant of above, for uint32_t extent vector.  Reprojects both 4 vertices from z=v[5] to z=v[6]
-    BITS.c_vMercXYZtoMercXYZ_u32 = function(v)
+//+ (double)    Great-circle distance in meters between two WGS84 lat/lons.  http://en.wikipedia.org/wiki/Haversine_formula
+    BITS.c_GetHaversineDistance = function(lat0, lon0, lat1, lon1)
     {
-        if (v[4] > v[5])
-        {
-            v[0] = v[0] << (v[4] - v[5]);
-            v[1] = v[1] << (v[4] - v[5]);
-            v[2] = v[2] << (v[4] - v[5]);
-            v[3] = v[3] << (v[4] - v[5]);
-        }//if
-        else
+        var d2r  = Math.PI / 180.0;
+        var dlat = (lat1 - lat0) * d2r;
+        var dlon = (lon1 - lon0) * d2r;
+        var a    =   Math.sin(dlat * 0.5) * Math.sin(dlat * 0.5)
+                   + Math.cos(lat0 * d2r) * Math.cos(lat1 * d2r) * Math.sin(dlon * 0.5) * Math.sin(dlon * 0.5);
+        
+        return 6378137.0 * 2.0 * Math.atan2(Math.sqrt(a), Math.sqrt(1.0 - a));
+    };
+    
+//+ (void)  Sets v to [d^2, x, y] for the point on rect x0...x1, y0...y1 nearest to sx, sy.  Pixel coordinates of any zoom level.
+//          If world_w is > 0, x wraps around the antimeridian at world_w; the x returned is always in [0, world_w).
+    BITS.c_SetNearestPointOnRect_f64 = function(v, sx, sy, x0, y0, x1, y1, world_w)
+    {
+        var cy = sy < y0 ? y0 : sy > y1 ? y1 : sy;
+        var dy = sy - cy;
+        var best_d = Infinity, cx, dx, d;
+        var n  = world_w > 0 ? 1 : 0;
+        
+        for (var i = -n; i <= n; i++) // also test the start point one world to the left and right
         {
-            v[0] = v[0] >>> (v[5] - v[4]);
-            v[1] = v[1] >>> (v[5] - v[4]);
-            v[2] = v[2] >>> (v[5] - v[4]);
-            v[3] = v[3] >>> (v[5] - v[4]);
-        }//else
+            var tx = sx + i * world_w;
+            
+            cx = tx < x0 ? x0 : tx > x1 ? x1 : tx;
+            dx = tx - cx;
+            d  = dx * dx + dy * dy;
+            
+            if (d < best_d)
+            {
+                best_d = d;
+                v[1]   = world_w > 0 ? ((cx % world_w) + world_w) % world_w : cx;
+            }//if
+        }//for
+        
+        v[0] = best_d;
+        v[2] = cy;
+    };
+    
+    
+//+ (void)  Variant of above, for an extent vector.  Reprojects both 4 vertices from z=v[5] to z=v[4]
+    BITS.c_vMercXYZtoMercXYZ_u32 = function(v)
+    {
+        v[0] = BITS.c_MercXZtoMercXZ(v[0], v[5], v[4]);
+        v[1] = BITS.c_MercXZtoMercXZ(v[1], v[5], v[4]);
+        v[2] = BITS.c_MercXZtoMercXZ(v[2], v[5], v[4]);
+        v[3] = BITS.c_MercXZtoMercXZ(v[3], v[5], v[4]);
     };
     
 
     
-//+ (uint32_t*)     New wrapper for c_SetPxExtentVector_u32.
+//+ (double*)       New wrapper for c_SetPxExtentVector_u32.  Extent vectors are Float64Array, despite the name: pixel x/y
+//                  @ dest_z can need more than 32 bits past z=21.  (eg, 2^33 for 512px tiles @ z=24)
     BITS.c_GetNewPxExtentVector_u32 = function(x, y, z, dest_z, w, h)
     {
-        var v = new Uint32Array(6);
+        var v = new Float64Array(6);
         BITS.c_SetPxExtentVector_u32(v, x, y, z, dest_z, w, h);
         return v;
     };
     
     
-//+ (void)      Fills rectangular coordinates @ dest_z represented by input tile x,y @ z.  Use with Uint32Array.
+//+ (void)      Fills rectangular coordinates @ dest_z represented by input tile x,y @ z.  Use with Float64Array.
     BITS.c_SetPxExtentVector_u32 = function(v, x, y, z, dest_z, w, h)
     {
         v[0] = x * w;
@@ -2604,9 +6182,8 @@ var BITS = (function()
         v[4] = dest_z;
         v[5] = z;
     
-        v[2] = w;                                                    // width
-        v[2] = BITS.c_MercXZtoMercXZ(v[2], v[5], v[4]) - 1;          // -1 for 0-based index
-        v[3] = v[2];                                                 // copy to height, same
+        v[2] = BITS.c_MercXZtoMercXZ(w, v[5], v[4]) - 1;             // width,  -1 for 0-based index
+        v[3] = BITS.c_MercXZtoMercXZ(h, v[5], v[4]) - 1;             // height, -1 for 0-based index
     
         v[0] = BITS.c_MercXZtoMercXZ(v[0], v[5], v[4]);              // reproject origin x/y
         v[1] = BITS.c_MercXZtoMercXZ(v[1], v[5], v[4]);
@@ -2616,8 +6193,9 @@ var BITS = (function()
     };
         
     
-//+ (void)  Proprietary, for use with GetPixelExtentFromBitstore.  Converts its output to a map extent vector, in place.
-    BITS.c_vPixelExtentToMercExtent_u32 = function(v, w, h)
+//+ (void)  Proprietary, for use with GetPixelExtentFromBitstore.  Converts its output to a map extent vector @ dest_z, in place.
+//          dest_z defaults to c_GetDefaultExtentZoomLevel.
+    BITS.c_vPixelExtentToMercExtent_u32 = function(v, w, h, dest_z)
     {
         if (v == null || v.length < 7)
         {
@@ -2637,7 +6215,7 @@ var BITS = (function()
         // [6]      x
         // [7]      y
         
-        var dest_z = BITS.c_GetDefaultExtentZoomLevel(); // new zoom level for extent
+        if (dest_z == null) dest_z = BITS.c_GetDefaultExtentZoomLevel(); // new zoom level for extent
         
         v[0] += v[6] * w;  // offset by tile x/y in pixels at original zoom level
         v[1] += v[7] * h;
@@ -2650,10 +6228,18 @@ var BITS = (function()
     };
 
 //+ (void)  Constant with a k.  If you set this lower than max zoom level of the map, you're not gonna have a good time.    
+//          So it's the minimum: see c_GetExtentZoomLevelForMaxZ.
     BITS.c_GetDefaultExtentZoomLevel = function()
     {
         return 21;
     };
     
+//+ (int32_t)   Extent zoom level for a layer with maxZ, eg 24 for drone surveys.  Extents are Float64, so this can go to z=42
+//              or so with 1024px tiles before pixel x/y lose precision.
+    BITS.c_GetExtentZoomLevelForMaxZ = function(maxZ)
+    {
+        return Math.max(BITS.c_GetDefaultExtentZoomLevel(), maxZ);
+    };
+    
     return BITS;
 })();